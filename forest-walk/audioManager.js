@@ -0,0 +1,358 @@
+// ========================================
+// AUDIO MANAGER — Web Audio sound, ambience and music
+// ========================================
+// One AudioContext shared by the hub and every level. Sounds route
+// through volume buses (music, sfx, voice) into a master gain.
+// Positional sounds follow a scene object; the listener follows the
+// active camera. Music and ambience each keep a single looping track
+// and crossfade when a new one is requested.
+//
+// Browsers keep the context suspended until a user gesture, so main.js
+// calls unlock() from input handlers. Anything requested before that
+// simply starts playing once the context resumes.
+//
+// There are no recordings in the repo: built-in ids are rendered by the
+// recipes in audioSynth.js. To use a real file instead, put it under
+// public/audio/ and point the id at its path.
+
+import * as THREE from "three";
+import { SYNTH_SOUNDS } from "./audioSynth.js";
+
+// Sound ids → file paths or synth recipes. Ids containing a "/" are
+// treated as paths directly.
+export const SOUND_LIBRARY = {
+  // Ambience loops
+  hallway_ambience: SYNTH_SOUNDS.hallway_ambience,
+  subway_hum: SYNTH_SOUNDS.subway_hum,
+  city_traffic: SYNTH_SOUNDS.city_traffic,
+  office_chatter: SYNTH_SOUNDS.office_chatter,
+
+  // Music
+  hallway_theme: SYNTH_SOUNDS.hallway_theme,
+  commute_theme: SYNTH_SOUNDS.commute_theme,
+  office_theme: SYNTH_SOUNDS.office_theme,
+
+  // Effects
+  train_rumble: SYNTH_SOUNDS.train_rumble,
+  train_brakes: SYNTH_SOUNDS.train_brakes,
+  train_doors: SYNTH_SOUNDS.train_doors,
+  phone_buzz: SYNTH_SOUNDS.phone_buzz,
+  notification_chime: SYNTH_SOUNDS.notification_chime,
+  door_open: SYNTH_SOUNDS.door_open,
+  door_locked: SYNTH_SOUNDS.door_locked,
+};
+
+// Caption text for sounds worth describing when captions are on
+export const SOUND_CAPTIONS = {
+  train_rumble: "train rumbling",
+  train_brakes: "train brakes",
+  train_doors: "doors slide open",
+  phone_buzz: "phone buzzes",
+  notification_chime: "notification chime",
+  door_open: "door creaks open",
+  door_locked: "locked door rattles",
+};
+
+export const AUDIO_BUSES = ["music", "sfx", "voice"];
+
+const BUS_DEFAULTS = { music: 0.6, sfx: 0.8, voice: 1.0 };
+
+const _listenerPos = new THREE.Vector3();
+const _listenerFwd = new THREE.Vector3();
+const _listenerUp = new THREE.Vector3();
+const _emitterPos = new THREE.Vector3();
+
+export class AudioManager {
+  constructor(library = SOUND_LIBRARY) {
+    this.library = library;
+    this.context = null;
+    this.master = null;
+    this.buses = {};
+    this.volumes = { ...BUS_DEFAULTS };
+    this.buffers = new Map(); // url or synth id → Promise<AudioBuffer|null>
+    this.active = new Set(); // every playing handle
+    this.music = null;
+    this.ambience = null;
+    this.unsupported = false;
+    this.onCue = null; // (captionText, id) → void, for the caption track
+  }
+
+  // ========================================
+  // CONTEXT
+  // ========================================
+
+  ensureContext() {
+    if (this.context || this.unsupported) return this.context;
+
+    const Ctor = window.AudioContext || window.webkitAudioContext;
+    if (!Ctor) {
+      console.warn("Web Audio not supported, audio disabled");
+      this.unsupported = true;
+      return null;
+    }
+
+    this.context = new Ctor();
+    this.master = this.context.createGain();
+    this.master.connect(this.context.destination);
+
+    AUDIO_BUSES.forEach((name) => {
+      const bus = this.context.createGain();
+      bus.gain.value = this.volumes[name];
+      bus.connect(this.master);
+      this.buses[name] = bus;
+    });
+
+    return this.context;
+  }
+
+  /** Resume the context — call from a user gesture */
+  unlock() {
+    const ctx = this.ensureContext();
+    if (ctx && ctx.state === "suspended") {
+      ctx.resume().catch(() => {});
+    }
+  }
+
+  // ========================================
+  // VOLUME BUSES
+  // ========================================
+
+  setVolume(bus, value) {
+    if (!AUDIO_BUSES.includes(bus)) return;
+    this.volumes[bus] = THREE.MathUtils.clamp(value, 0, 1);
+    if (this.buses[bus]) {
+      this.buses[bus].gain.setTargetAtTime(this.volumes[bus], this.context.currentTime, 0.05);
+    }
+  }
+
+  getVolume(bus) {
+    return this.volumes[bus] ?? 0;
+  }
+
+  // ========================================
+  // PLAYBACK
+  // ========================================
+
+  /**
+   * Play a sound by id. Returns a handle right away; the buffer starts
+   * once loaded. Pass `object` to make it positional, caption: false
+   * to keep it off the caption track.
+   * @returns {{ id, stop(fade?: number): void }}
+   */
+  play(id, { bus = "sfx", volume = 1, loop = false, object = null, refDistance = 4, fadeIn = 0, caption = true } = {}) {
+    if (caption && SOUND_CAPTIONS[id] && this.onCue) this.onCue(SOUND_CAPTIONS[id], id);
+
+    const handle = {
+      id,
+      loop,
+      object,
+      source: null,
+      gain: null,
+      panner: null,
+      stopped: false,
+      stop: (fade = 0) => this.stopHandle(handle, fade),
+    };
+
+    const ctx = this.ensureContext();
+    if (!ctx) return handle;
+
+    handle.gain = ctx.createGain();
+    let output = handle.gain;
+
+    if (object) {
+      handle.panner = ctx.createPanner();
+      handle.panner.panningModel = "HRTF";
+      handle.panner.distanceModel = "inverse";
+      handle.panner.refDistance = refDistance;
+      handle.gain.connect(handle.panner);
+      output = handle.panner;
+    }
+    output.connect(this.buses[bus] || this.buses.sfx);
+
+    if (fadeIn > 0) {
+      handle.gain.gain.setValueAtTime(0, ctx.currentTime);
+      handle.gain.gain.linearRampToValueAtTime(volume, ctx.currentTime + fadeIn);
+    } else {
+      handle.gain.gain.value = volume;
+    }
+
+    this.active.add(handle);
+
+    this.load(id).then((buffer) => {
+      if (!buffer || handle.stopped) {
+        if (!buffer) this.release(handle);
+        return;
+      }
+      const source = ctx.createBufferSource();
+      source.buffer = buffer;
+      source.loop = loop;
+      source.connect(handle.gain);
+      source.onended = () => this.release(handle);
+      source.start();
+      handle.source = source;
+    });
+
+    return handle;
+  }
+
+  /** Stop every playing handle with this sound id */
+  stopSound(id, fade = 0) {
+    this.active.forEach((handle) => {
+      if (handle.id === id) handle.stop(fade);
+    });
+  }
+
+  /** Stop all effects and ambience, leaving music alone (level exit) */
+  stopEffects(fade = 0.5) {
+    this.stopAmbience(fade);
+    this.active.forEach((handle) => {
+      if (handle !== this.music) handle.stop(fade);
+    });
+  }
+
+  stopHandle(handle, fade) {
+    if (handle.stopped) return;
+    handle.stopped = true;
+
+    if (!handle.source) {
+      this.release(handle);
+      return;
+    }
+
+    const ctx = this.context;
+    if (fade > 0) {
+      const gain = handle.gain.gain;
+      gain.cancelScheduledValues(ctx.currentTime);
+      gain.setValueAtTime(gain.value, ctx.currentTime);
+      gain.linearRampToValueAtTime(0, ctx.currentTime + fade);
+      handle.source.stop(ctx.currentTime + fade);
+    } else {
+      handle.source.stop();
+    }
+  }
+
+  release(handle) {
+    handle.stopped = true;
+    if (handle.gain) handle.gain.disconnect();
+    if (handle.panner) handle.panner.disconnect();
+    this.active.delete(handle);
+  }
+
+  // ========================================
+  // MUSIC / AMBIENCE (single looping track each)
+  // ========================================
+
+  /** Crossfade to a music track. Pass null to fade out. */
+  playMusic(id, { fade = 2.0, volume = 1 } = {}) {
+    if (this.music && this.music.id === id && !this.music.stopped) return;
+    this.stopMusic(fade);
+    if (!id) return;
+    this.music = this.play(id, { bus: "music", loop: true, volume, fadeIn: fade, caption: false });
+  }
+
+  stopMusic(fade = 2.0) {
+    if (!this.music) return;
+    this.music.stop(fade);
+    this.music = null;
+  }
+
+  /** Crossfade to an ambience loop. Pass null to fade out. */
+  playAmbience(id, { fade = 1.5, volume = 0.7 } = {}) {
+    if (this.ambience && this.ambience.id === id && !this.ambience.stopped) return;
+    this.stopAmbience(fade);
+    if (!id) return;
+    this.ambience = this.play(id, { bus: "sfx", loop: true, volume, fadeIn: fade, caption: false });
+  }
+
+  stopAmbience(fade = 1.5) {
+    if (!this.ambience) return;
+    this.ambience.stop(fade);
+    this.ambience = null;
+  }
+
+  // ========================================
+  // LOADING
+  // ========================================
+
+  /**
+   * Buffer for a sound id, rendered or fetched once and cached. A file
+   * that fails to load plays as silence; it is reported once, not on
+   * every play.
+   */
+  load(id) {
+    const source = this.library[id] || (id.includes("/") ? id : null);
+    if (!source) {
+      console.warn(`Unknown sound "${id}"`);
+      return Promise.resolve(null);
+    }
+
+    if (typeof source === "function") {
+      const key = `synth:${id}`;
+      if (!this.buffers.has(key)) {
+        this.buffers.set(key, new Promise(resolve => resolve(source(this.context))).catch((err) => {
+          console.warn(`Failed to render sound "${id}":`, err);
+          return null;
+        }));
+      }
+      return this.buffers.get(key);
+    }
+
+    if (!this.buffers.has(source)) {
+      const promise = fetch(source)
+        .then((res) => {
+          if (!res.ok) throw new Error(`HTTP ${res.status}`);
+          return res.arrayBuffer();
+        })
+        .then((data) => this.context.decodeAudioData(data))
+        .catch((err) => {
+          console.warn(`Sound ${source} is missing or unreadable, playing silence:`, err.message || err);
+          return null;
+        });
+      this.buffers.set(source, promise);
+    }
+    return this.buffers.get(source);
+  }
+
+  // ========================================
+  // LISTENER / POSITIONAL UPDATE
+  // ========================================
+
+  /** Move the listener to the camera and panners to their objects */
+  update(camera) {
+    if (!this.context || !camera) return;
+
+    camera.getWorldPosition(_listenerPos);
+    camera.getWorldDirection(_listenerFwd);
+    _listenerUp.set(0, 1, 0).applyQuaternion(camera.quaternion);
+
+    const listener = this.context.listener;
+    if (listener.positionX) {
+      const t = this.context.currentTime;
+      listener.positionX.setValueAtTime(_listenerPos.x, t);
+      listener.positionY.setValueAtTime(_listenerPos.y, t);
+      listener.positionZ.setValueAtTime(_listenerPos.z, t);
+      listener.forwardX.setValueAtTime(_listenerFwd.x, t);
+      listener.forwardY.setValueAtTime(_listenerFwd.y, t);
+      listener.forwardZ.setValueAtTime(_listenerFwd.z, t);
+      listener.upX.setValueAtTime(_listenerUp.x, t);
+      listener.upY.setValueAtTime(_listenerUp.y, t);
+      listener.upZ.setValueAtTime(_listenerUp.z, t);
+    } else {
+      // Older Safari
+      listener.setPosition(_listenerPos.x, _listenerPos.y, _listenerPos.z);
+      listener.setOrientation(
+        _listenerFwd.x, _listenerFwd.y, _listenerFwd.z,
+        _listenerUp.x, _listenerUp.y, _listenerUp.z
+      );
+    }
+
+    this.active.forEach((handle) => {
+      if (!handle.panner) return;
+      handle.object.getWorldPosition(_emitterPos);
+      handle.panner.setPosition(_emitterPos.x, _emitterPos.y, _emitterPos.z);
+    });
+  }
+}
+
+// Shared instance used by main.js and level modules
+export const audio = new AudioManager();
@@ -0,0 +1,283 @@
+// ========================================
+// AUDIO SYNTH — Sounds rendered in code
+// ========================================
+// The repo ships no recordings, so every built-in sound id in
+// SOUND_LIBRARY (audioManager.js) points at one of these recipes. Each
+// recipe fills an AudioBuffer for the given context; the manager caches
+// it like a decoded file. Loops are rendered a little long and their
+// tail is faded into the head so they repeat without a click.
+//
+// Noise is seeded, so a recipe sounds the same every time.
+
+const TWO_PI = Math.PI * 2;
+
+/** Small seeded PRNG (mulberry32) returning [0, 1) */
+function random(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** One-pole low-pass: returns a function stepping the filter by one sample */
+function lowpass(cutoff, sampleRate) {
+  const a = 1 - Math.exp(-TWO_PI * cutoff / sampleRate);
+  let y = 0;
+  return (x) => (y += a * (x - y));
+}
+
+/** Equal-temperament frequency of a MIDI note */
+function midi(note) {
+  return 440 * Math.pow(2, (note - 69) / 12);
+}
+
+/**
+ * Render a mono buffer.
+ * @param {BaseAudioContext} ctx
+ * @param {number} seconds
+ * @param {(data: Float32Array, sampleRate: number) => void} fill
+ * @param {{ loop?: boolean }} [options] — loop: crossfade the end into the start
+ */
+function render(ctx, seconds, fill, { loop = false } = {}) {
+  const sampleRate = ctx.sampleRate;
+  const fade = loop ? Math.floor(sampleRate * 0.25) : 0;
+  const length = Math.floor(seconds * sampleRate);
+  const data = new Float32Array(length + fade);
+  fill(data, sampleRate);
+
+  for (let i = 0; i < fade; i++) {
+    const w = i / fade;
+    data[i] = data[i] * w + data[length + i] * (1 - w);
+  }
+
+  const buffer = ctx.createBuffer(1, length, sampleRate);
+  buffer.getChannelData(0).set(data.subarray(0, length));
+  return buffer;
+}
+
+/** Add a sine tone with a few harmonics and an attack/release envelope */
+function addTone(data, sampleRate, { start, duration, freq, gain, attack = 0.01, release = 0.3, harmonics = [1] }) {
+  const from = Math.floor(start * sampleRate);
+  const to = Math.min(data.length, Math.floor((start + duration + release) * sampleRate));
+  const step = TWO_PI * freq / sampleRate;
+  for (let i = Math.max(0, from); i < to; i++) {
+    const t = (i - from) / sampleRate;
+    let env = t < attack ? t / attack : 1;
+    if (t > duration) env *= Math.max(0, 1 - (t - duration) / release);
+    const phase = step * (i - from);
+    let s = 0;
+    for (let n = 0; n < harmonics.length; n++) s += harmonics[n] * Math.sin(phase * (n + 1));
+    data[i] += s * env * gain;
+  }
+}
+
+// ========================================
+// AMBIENCE
+// ========================================
+
+/** Filtered noise bed with an optional mains hum */
+function noiseBed(ctx, { seconds, seed, cutoff, gain, hum = 0, humGain = 0, swell = 0 }) {
+  return render(ctx, seconds, (data, sampleRate) => {
+    const rand = random(seed);
+    const filter = lowpass(cutoff, sampleRate);
+    for (let i = 0; i < data.length; i++) {
+      const t = i / sampleRate;
+      const level = 1 - swell * (0.5 + 0.5 * Math.sin(TWO_PI * t / seconds * 2));
+      data[i] = filter(rand() * 2 - 1) * gain * level;
+      if (hum) data[i] += humGain * (Math.sin(TWO_PI * hum * t) + 0.4 * Math.sin(TWO_PI * hum * 2 * t));
+    }
+  }, { loop: true });
+}
+
+/** Murmur of voices: band-limited noise chopped into syllables */
+function chatter(ctx) {
+  return render(ctx, 8, (data, sampleRate) => {
+    const rand = random(7);
+    const low = lowpass(1400, sampleRate);
+    const rumble = lowpass(300, sampleRate);
+    let syllableEnd = 0;
+    let level = 0;
+    for (let i = 0; i < data.length; i++) {
+      if (i >= syllableEnd) {
+        syllableEnd = i + Math.floor(sampleRate * (0.08 + rand() * 0.2));
+        level = rand() < 0.25 ? 0.05 : 0.3 + rand() * 0.7;
+      }
+      const n = rand() * 2 - 1;
+      data[i] = (low(n) - rumble(n)) * level * 0.5;
+    }
+  }, { loop: true });
+}
+
+// ========================================
+// MUSIC
+// ========================================
+
+/**
+ * A looping theme: a soft pad per chord plus an arpeggio over it.
+ * @param {{ bpm: number, chords: number[][], pattern: number[], gain?: number }} theme
+ *   chords — MIDI notes per bar; pattern — chord tone index per eighth note
+ */
+function renderTheme(ctx, { bpm, chords, pattern, gain = 0.12 }) {
+  const beat = 60 / bpm;
+  const bar = beat * 4;
+  return render(ctx, bar * chords.length, (data, sampleRate) => {
+    chords.forEach((chord, c) => {
+      const start = c * bar;
+      chord.forEach(note => addTone(data, sampleRate, {
+        start, duration: bar, freq: midi(note - 12), gain: gain * 0.5,
+        attack: 0.4, release: 0.6, harmonics: [1, 0.3],
+      }));
+      pattern.forEach((index, step) => addTone(data, sampleRate, {
+        start: start + step * beat / 2, duration: beat / 4, freq: midi(chord[index % chord.length] + 12),
+        gain, attack: 0.005, release: 0.35, harmonics: [1, 0.2, 0.05],
+      }));
+    });
+  }, { loop: true });
+}
+
+// ========================================
+// EFFECTS
+// ========================================
+
+function trainRumble(ctx) {
+  return render(ctx, 4, (data, sampleRate) => {
+    const rand = random(11);
+    const filter = lowpass(120, sampleRate);
+    for (let i = 0; i < data.length; i++) {
+      const t = i / sampleRate;
+      // Wheel clacks twice a second over the rumble
+      const clack = Math.exp(-((t % 0.5) * 40)) * 0.6;
+      data[i] = filter(rand() * 2 - 1) * (2.2 + clack * 3) * (0.8 + 0.2 * Math.sin(TWO_PI * 6 * t));
+    }
+  }, { loop: true });
+}
+
+function trainBrakes(ctx) {
+  return render(ctx, 2.5, (data, sampleRate) => {
+    const rand = random(13);
+    const hiss = lowpass(4000, sampleRate);
+    for (let i = 0; i < data.length; i++) {
+      const t = i / sampleRate;
+      const env = Math.min(1, t * 4) * Math.max(0, 1 - t / 2.5);
+      const squeal = Math.sin(TWO_PI * (2600 * t + 8 * Math.sin(TWO_PI * 5 * t)));
+      data[i] = (squeal * 0.15 + hiss(rand() * 2 - 1) * 0.3) * env;
+    }
+  });
+}
+
+function trainDoors(ctx) {
+  return render(ctx, 1.6, (data, sampleRate) => {
+    const rand = random(17);
+    const air = lowpass(6000, sampleRate);
+    const body = lowpass(500, sampleRate);
+    for (let i = 0; i < data.length; i++) {
+      const t = i / sampleRate;
+      const n = rand() * 2 - 1;
+      const psst = (n - body(n)) * Math.exp(-t * 4) * 0.4;
+      const thunk = t > 1.2 ? Math.sin(TWO_PI * 70 * t) * Math.exp(-(t - 1.2) * 18) * 0.6 : 0;
+      data[i] = air(psst) + thunk;
+    }
+  });
+}
+
+function phoneBuzz(ctx) {
+  return render(ctx, 1.3, (data, sampleRate) => {
+    const filter = lowpass(900, sampleRate);
+    for (let i = 0; i < data.length; i++) {
+      const t = i / sampleRate;
+      const on = t < 0.45 || (t > 0.7 && t < 1.15);
+      const square = Math.sign(Math.sin(TWO_PI * 160 * t));
+      data[i] = filter(on ? square : 0) * 0.3;
+    }
+  });
+}
+
+function notificationChime(ctx) {
+  return render(ctx, 1.2, (data, sampleRate) => {
+    addTone(data, sampleRate, { start: 0, duration: 0.05, freq: midi(88), gain: 0.3, release: 0.5, harmonics: [1, 0.1] });
+    addTone(data, sampleRate, { start: 0.12, duration: 0.1, freq: midi(93), gain: 0.3, release: 0.8, harmonics: [1, 0.1] });
+  });
+}
+
+/**
+ * Latch click, then a hinge creak over the door's swing (DOOR_SWING_TIME
+ * in hub.js): stick-slip pulses whose rate glides up as the door opens.
+ */
+function doorOpen(ctx) {
+  return render(ctx, 0.9, (data, sampleRate) => {
+    const rand = random(23);
+    const filter = lowpass(2200, sampleRate);
+    let phase = 0;
+    for (let i = 0; i < data.length; i++) {
+      const t = i / sampleRate;
+      const click = t < 0.03 ? (rand() * 2 - 1) * Math.exp(-t * 200) * 0.8 : 0;
+
+      const swing = Math.max(0, (t - 0.05) / 0.7);
+      const rate = 70 + 90 * swing + 15 * Math.sin(TWO_PI * 3 * t);
+      phase += rate / sampleRate;
+      const pulse = Math.exp(-(phase % 1) * 12) * (0.6 + 0.4 * rand());
+      const env = swing > 0 && swing < 1 ? Math.sin(Math.PI * swing) : 0;
+
+      data[i] = filter(click + pulse * env * 0.5);
+    }
+  });
+}
+
+/** Handle jiggled against the latch: a few short wooden knocks */
+function doorLocked(ctx) {
+  return render(ctx, 0.6, (data, sampleRate) => {
+    const rand = random(19);
+    const filter = lowpass(1800, sampleRate);
+    const hits = [0, 0.08, 0.19, 0.27];
+    for (let i = 0; i < data.length; i++) {
+      const t = i / sampleRate;
+      let s = 0;
+      for (const hit of hits) {
+        if (t < hit) continue;
+        const env = Math.exp(-(t - hit) * 60);
+        s += (Math.sin(TWO_PI * 180 * (t - hit)) * 0.6 + (rand() * 2 - 1) * 0.5) * env;
+      }
+      data[i] = filter(s) * 0.6;
+    }
+  });
+}
+
+/**
+ * Recipes by sound id — each (ctx) → AudioBuffer.
+ * Ambience and music loops, then one-shot effects.
+ */
+export const SYNTH_SOUNDS = {
+  hallway_ambience: ctx => noiseBed(ctx, { seconds: 8, seed: 1, cutoff: 250, gain: 0.5, hum: 60, humGain: 0.01 }),
+  subway_hum: ctx => noiseBed(ctx, { seconds: 8, seed: 2, cutoff: 180, gain: 1.2, hum: 50, humGain: 0.05, swell: 0.3 }),
+  city_traffic: ctx => noiseBed(ctx, { seconds: 12, seed: 3, cutoff: 600, gain: 0.6, swell: 0.6 }),
+  office_chatter: chatter,
+
+  hallway_theme: ctx => renderTheme(ctx, {
+    bpm: 72,
+    chords: [[60, 64, 67, 71], [57, 60, 64, 67], [53, 57, 60, 64], [55, 59, 62, 65]],
+    pattern: [0, 2, 1, 3, 2, 1, 3, 2],
+  }),
+  commute_theme: ctx => renderTheme(ctx, {
+    bpm: 104,
+    chords: [[62, 66, 69], [59, 62, 66], [55, 59, 62], [57, 61, 64]],
+    pattern: [0, 1, 2, 1, 0, 2, 1, 2],
+  }),
+  office_theme: ctx => renderTheme(ctx, {
+    bpm: 90,
+    chords: [[65, 69, 72, 76], [62, 65, 69, 72], [58, 62, 65, 69], [60, 64, 67, 70]],
+    pattern: [0, 2, 3, 2, 1, 2, 3, 1],
+    gain: 0.1,
+  }),
+
+  train_rumble: trainRumble,
+  train_brakes: trainBrakes,
+  train_doors: trainDoors,
+  phone_buzz: phoneBuzz,
+  notification_chime: notificationChime,
+  door_open: doorOpen,
+  door_locked: doorLocked,
+};
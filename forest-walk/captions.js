@@ -0,0 +1,156 @@
+// ========================================
+// CAPTIONS — Subtitle bar + per-chapter backlog
+// ========================================
+// Mirrors spoken lines (text bubbles, dialogue) and non-speech cues
+// ("[train brakes]") into a fixed caption bar when captions are on.
+// Every line is kept in a backlog for the current chapter whether or
+// not the bar is showing, so it can be reread at any time.
+
+const STORAGE_KEY = "our-story.captions";
+const MAX_BACKLOG = 200;
+
+export class Captions {
+  constructor(storage = window.localStorage) {
+    this.storage = storage;
+    this.bar = document.getElementById("caption-bar");
+    this.speakerEl = document.getElementById("caption-speaker");
+    this.textEl = document.getElementById("caption-text");
+    this.backlogPanel = document.getElementById("caption-backlog");
+    this.backlogTitle = document.getElementById("caption-backlog-title");
+    this.backlogList = document.getElementById("caption-backlog-list");
+
+    this.enabled = this._read() === "on";
+    this.backlog = [];
+    this.hideTimer = null;
+  }
+
+  // ========================================
+  // MODE
+  // ========================================
+
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    this._write(enabled ? "on" : "off");
+    if (!enabled) this.hide();
+  }
+
+  toggle() {
+    this.setEnabled(!this.enabled);
+    return this.enabled;
+  }
+
+  // ========================================
+  // LINES / CUES
+  // ========================================
+
+  /** Clear the backlog when a new chapter starts */
+  startChapter(title = "") {
+    this.backlog = [];
+    if (this.backlogTitle) this.backlogTitle.textContent = title;
+    this.renderBacklog();
+    this.hide();
+  }
+
+  /** A spoken line. Speaker may be null for unattributed bubbles. */
+  line(speaker, text, duration) {
+    this.add({ kind: "line", speaker: speaker || null, text }, duration);
+  }
+
+  /** A non-speech cue, shown in brackets: "[phone buzzes]" */
+  cue(text, duration = 2.0) {
+    this.add({ kind: "cue", speaker: null, text: `[${text}]` }, duration);
+  }
+
+  add(entry, duration) {
+    this.backlog.push(entry);
+    if (this.backlog.length > MAX_BACKLOG) this.backlog.shift();
+    this.appendBacklogItem(entry);
+
+    if (this.enabled) {
+      // Long lines stay up a little longer than their bubble would
+      const readTime = Math.max(duration || 0, 1.5 + entry.text.length * 0.05);
+      this.show(entry, readTime);
+    }
+  }
+
+  show(entry, seconds) {
+    if (!this.bar) return;
+    clearTimeout(this.hideTimer);
+
+    this.speakerEl.textContent = entry.speaker || "";
+    this.speakerEl.classList.toggle("hidden", !entry.speaker);
+    this.textEl.textContent = entry.text;
+    this.bar.classList.toggle("cue", entry.kind === "cue");
+    this.bar.classList.remove("hidden");
+
+    this.hideTimer = setTimeout(() => this.hide(), seconds * 1000);
+  }
+
+  hide() {
+    clearTimeout(this.hideTimer);
+    if (this.bar) this.bar.classList.add("hidden");
+  }
+
+  // ========================================
+  // BACKLOG PANEL
+  // ========================================
+
+  isBacklogOpen() {
+    return this.backlogPanel ? !this.backlogPanel.classList.contains("hidden") : false;
+  }
+
+  toggleBacklog(open = !this.isBacklogOpen()) {
+    if (!this.backlogPanel) return;
+    this.backlogPanel.classList.toggle("hidden", !open);
+    if (open) this.backlogList.scrollTop = this.backlogList.scrollHeight;
+  }
+
+  renderBacklog() {
+    if (!this.backlogList) return;
+    this.backlogList.innerHTML = "";
+    this.backlog.forEach(entry => this.appendBacklogItem(entry));
+  }
+
+  appendBacklogItem(entry) {
+    if (!this.backlogList) return;
+
+    const item = document.createElement("li");
+    item.className = `backlog-item ${entry.kind}`;
+    if (entry.speaker) {
+      const name = document.createElement("span");
+      name.className = "backlog-speaker";
+      name.textContent = entry.speaker;
+      item.appendChild(name);
+    }
+    const text = document.createElement("span");
+    text.className = "backlog-text";
+    text.textContent = entry.text;
+    item.appendChild(text);
+
+    this.backlogList.appendChild(item);
+    while (this.backlogList.children.length > MAX_BACKLOG) {
+      this.backlogList.firstChild.remove();
+    }
+    if (this.isBacklogOpen()) this.backlogList.scrollTop = this.backlogList.scrollHeight;
+  }
+
+  // ========================================
+  // STORAGE HELPERS
+  // ========================================
+
+  _read() {
+    try {
+      return this.storage.getItem(STORAGE_KEY);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  _write(value) {
+    try {
+      this.storage.setItem(STORAGE_KEY, value);
+    } catch (e) {
+      console.warn("Failed to save caption setting:", e);
+    }
+  }
+}
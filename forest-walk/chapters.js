@@ -23,16 +23,51 @@ export const chapters = [
         text: "Follow her back immediately",
         correct: false,
         response: "You follow her back right away. Too eager — she notices and it changes the dynamic...",
+        // Alternate-timeline vignette played in the level before the retry
+        sequence: [
+          {
+            type: "text_bubble",
+            id: "follow_back_bubble",
+            text: "Followed back in 0.2 seconds. Smooth.",
+            style: "speech",
+            duration: 2.0,
+            offsetY: 0.5,
+          },
+          { type: "reaction", kind: "sweat", animation: "shake", duration: 1.0 },
+        ],
       },
       {
         text: "Ignore the request for now",
         correct: false,
         response: "You ignore it. Days pass and the moment slips away...",
+        sequence: [
+          {
+            type: "text_bubble",
+            id: "ignore_bubble",
+            text: "I'll deal with it later...",
+            style: "speech",
+            duration: 2.0,
+            offsetY: 0.5,
+          },
+          { type: "reaction", kind: "zzz", animation: "float-up", duration: 1.5 },
+        ],
       },
       {
         text: "DM her right away",
         correct: false,
         response: "Too forward. She leaves you on read. That's not how this story goes...",
+        sequence: [
+          {
+            type: "text_bubble",
+            id: "dm_seen_bubble",
+            text: "Seen 2:14 PM",
+            style: "notification",
+            enterAnimation: "rise",
+            duration: 2.0,
+            offsetY: 0.5,
+          },
+          { type: "reaction", kind: "surprise", duration: 1.0 },
+        ],
       },
     ],
     quote: null,
@@ -40,6 +75,8 @@ export const chapters = [
 
     // Level scene data
     levelModule: "level01-follow-request",
+    // Caption speaker for the player's own speech bubbles
+    playerSpeaker: "Gabriel",
     sequence: [
       // === PHASE 1: SUBWAY PLATFORM CINEMATIC ===
       { type: "fade", direction: "in", duration: 0.5 },
@@ -59,13 +96,27 @@ export const chapters = [
       // Trigger train arrival animation
       { type: "custom_callback", callbackName: "trainArrive", duration: 0.1 },
 
-      // Hold as train rumbles in and brakes (~4 seconds)
-      { type: "wait", duration: 4.0 },
+      // Slow push-in that follows the train as it rumbles in and brakes (~4 seconds)
+      {
+        type: "camera_path",
+        curve: "catmullrom",
+        points: [
+          { x: 2.5, y: 1.6, z: 4 },
+          { x: 2.8, y: 1.6, z: 3.2 },
+          { x: 2.9, y: 1.6, z: 2.6 },
+        ],
+        track: "train",
+        trackOffset: { x: 0, y: 1.2, z: 0 },
+        fov: { from: 50, to: 44 },
+        easing: ["easeOutCubic", "easeInOutCubic"],
+        segmentDurations: [1.5, 2.5],
+        duration: 4.0,
+      },
 
       // Camera pans to watch the stopped train / character exit area
       {
         type: "camera_move",
-        from: { x: 2.5, y: 1.6, z: 4 },
+        from: { x: 2.9, y: 1.6, z: 2.6 },
         to: { x: 1.5, y: 1.5, z: 0 },
         lookAt: { x: -1.5, y: 1.0, z: 0 },
         duration: 2.5,
@@ -80,8 +131,10 @@ export const chapters = [
       // Position camera behind player before revealing city
       { type: "custom_callback", callbackName: "positionCityCamera", duration: 0.01 },
       { type: "fade", direction: "out", duration: 0.8 },
+      { type: "checkpoint", id: "city_street" },
       {
         type: "text_bubble",
+        id: "city_intro",
         text: "NYC. Summer internship. Just another day.",
         style: "speech",
         duration: 3.0,
@@ -100,30 +153,35 @@ export const chapters = [
       // Position camera in office before revealing
       { type: "custom_callback", callbackName: "positionOfficeCamera", duration: 0.01 },
       { type: "fade", direction: "out", duration: 0.8 },
+      { type: "checkpoint", id: "office_arrival" },
 
       // === PHASE 4: OFFICE — WALK TO CHAIR ===
       {
-        type: "text_bubble",
-        text: "Time to get to work.",
-        style: "speech",
-        duration: 2.5,
-        offsetY: 0.8,
+        type: "dialogue",
+        id: "office_greeting",
+        lines: [
+          { speaker: "Coworker", emotion: "happy", text: "Morning! Your code review is waiting on your desk." },
+          { speaker: "Gabriel", text: "Time to get to work." },
+        ],
       },
       { type: "wait", duration: 0.5 },
       {
         type: "interaction",
+        id: "sit_down",
         targetId: "chair",
         promptText: "Sit down",
       },
       { type: "custom_callback", callbackName: "sitDown", duration: 1.0 },
       { type: "wait", duration: 0.5 },
+      { type: "checkpoint", id: "at_desk" },
 
       // === PHASE 5: INTERACTIVE WORK ===
       // Player presses A to start working
-      { type: "key_prompt", key: "A", promptText: "Start working" },
+      { type: "key_prompt", id: "start_working", key: "A", promptText: "Start working" },
       { type: "custom_callback", callbackName: "startWorking", duration: 0.3 },
       {
         type: "text_bubble",
+        id: "code_review",
         text: "Let's get this code review done...",
         style: "speech",
         duration: 2.5,
@@ -131,7 +189,7 @@ export const chapters = [
       },
 
       // Player presses B to stop working
-      { type: "key_prompt", key: "B", promptText: "Stop working" },
+      { type: "key_prompt", id: "stop_working", key: "B", promptText: "Stop working" },
       { type: "custom_callback", callbackName: "stopWorking", duration: 0.3 },
       { type: "wait", duration: 0.5 },
 
@@ -141,27 +199,45 @@ export const chapters = [
       { type: "wait", duration: 0.4 },
 
       // Player presses A to check phone
-      { type: "key_prompt", key: "A", promptText: "Check phone" },
+      { type: "key_prompt", id: "check_phone", key: "A", promptText: "Check phone" },
       { type: "custom_callback", callbackName: "checkPhone", duration: 0.2 },
       { type: "wait", duration: 0.6 },
-      {
-        type: "text_bubble",
-        text: "valerie.rengifo started following you.",
-        style: "notification",
-        enterAnimation: "rise",
-        duration: 2.0,
-        offsetY: 0.5,
-      },
-      { type: "wait", duration: 0.3 },
-      {
-        type: "reaction",
-        kind: "surprise",
-        duration: 1.0,
+      { type: "sound", id: "notification_chime", target: "phone" },
+      // Surprise pops while the notification is still on screen
+      {
+        type: "parallel",
+        until: "all",
+        children: [
+          {
+            type: "text_bubble",
+            id: "follow_notification",
+            text: "valerie.rengifo started following you.",
+            style: "notification",
+            enterAnimation: "rise",
+            duration: 2.0,
+            target: "phone",
+            offsetY: 0.3,
+          },
+          {
+            name: "surprise",
+            sequence: [
+              { type: "wait", duration: 1.2 },
+              { type: "reaction", kind: "surprise", duration: 1.0 },
+            ],
+          },
+        ],
       },
       { type: "custom_callback", callbackName: "cameraToChoice", duration: 0.5 },
 
       // === PHASE 7: CHOICE (phone stays visible behind choice panel) ===
       { type: "show_choice" },
+
+      // === OUTRO: only the real timeline gets the heart ===
+      { type: "branch", when: { choice: "correct" }, goto: "choice_correct", else: "choice_done" },
+      { type: "label", name: "choice_correct" },
+      { type: "music", id: "hallway_theme", fade: 1.5 },
+      { type: "reaction", kind: "heart", duration: 1.2 },
+      { type: "label", name: "choice_done" },
     ],
   },
   {
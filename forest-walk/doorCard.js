@@ -0,0 +1,53 @@
+// ========================================
+// DOOR CARD — Chapter info shown at a hallway door
+// ========================================
+// Standing at a door brings up a card with the chapter's number, date
+// and door label, whether the door is locked, next or already visited,
+// and the button that opens it. main.js decides which door the player
+// is at and what happens on interact; this only fills in the card.
+
+import { t, chapterText, formatChapterDate } from "./i18n.js";
+
+/** Card state → [badge key, action key] (locked doors have no action) */
+const STATE_TEXT = {
+  locked: ["door.locked", null],
+  current: ["door.current", "door.enter"],
+  visited: ["door.visited", "door.replay"],
+};
+
+export class DoorCard {
+  /** @param {HTMLElement} el — the #door-card element */
+  constructor(el) {
+    this.el = el;
+    this.numberEl = el.querySelector(".door-card-number");
+    this.dateEl = el.querySelector(".door-card-date");
+    this.labelEl = el.querySelector(".door-card-label");
+    this.stateEl = el.querySelector(".door-card-state");
+    this.actionEl = el.querySelector(".door-card-action");
+    this.actionTextEl = el.querySelector(".door-card-action-text");
+  }
+
+  /**
+   * @param {Object} chapter
+   * @param {number} index — chapter index
+   * @param {"locked"|"current"|"visited"} state
+   */
+  show(chapter, index, state) {
+    const [badgeKey, actionKey] = STATE_TEXT[state];
+
+    this.numberEl.textContent = t("door.number", { n: index + 1 });
+    this.dateEl.textContent = formatChapterDate(chapter);
+    this.labelEl.textContent = chapterText(chapter, "doorLabel", chapter.doorLabel);
+    this.stateEl.textContent = t(badgeKey);
+    this.el.dataset.state = state;
+
+    this.actionEl.classList.toggle("hidden", !actionKey);
+    if (actionKey) this.actionTextEl.textContent = t(actionKey);
+
+    this.el.classList.remove("hidden");
+  }
+
+  hide() {
+    this.el.classList.add("hidden");
+  }
+}
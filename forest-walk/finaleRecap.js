@@ -0,0 +1,236 @@
+// ========================================
+// FINALE RECAP — Scrapbook timeline of the playthrough
+// ========================================
+// Built when the finale opens: every chapter's date, title and door,
+// the choice that closed it, how many tries it took, and the total play
+// time. The same recap is shown as a scrollable timeline on the finale
+// screen and drawn onto one tall PNG for sharing. Printing uses the
+// on-screen timeline (see the print styles in style.css).
+
+import { t, chapterText, formatChapterDate } from "./i18n.js";
+
+/**
+ * @param {Object[]} chapters
+ * @param {{ choices: Object, attempts: Object, playTime: number }} progress
+ *   choices — chapter index → index of the choice picked last;
+ *   attempts — chapter index → number of choices made; playTime in seconds
+ */
+export function buildRecap(chapters, { choices, attempts, playTime }) {
+  const entries = chapters.map((chapter, i) => {
+    const choiceIndex = choices[i];
+    const choice = chapter.choices[choiceIndex];
+    return {
+      number: i + 1,
+      date: formatChapterDate(chapter),
+      title: chapterText(chapter, "title", chapter.title),
+      doorLabel: chapterText(chapter, "doorLabel", chapter.doorLabel),
+      choice: choice ? chapterText(chapter, `choice${choiceIndex}.text`, choice.text) : null,
+      attempts: attempts[i] || 0,
+    };
+  });
+
+  return {
+    entries,
+    playTime,
+    totalAttempts: entries.reduce((sum, entry) => sum + entry.attempts, 0),
+  };
+}
+
+/** "1 h 05 min" / "12 min" */
+export function formatPlayTime(seconds) {
+  const minutes = Math.max(1, Math.round(seconds / 60));
+  const hours = Math.floor(minutes / 60);
+  if (hours === 0) return t("recap.minutes", { m: minutes });
+  return t("recap.hours", { h: hours, m: String(minutes % 60).padStart(2, "0") });
+}
+
+function attemptsText(attempts) {
+  return attempts === 1 ? t("recap.firstTry") : t("recap.attempts", { n: attempts });
+}
+
+function summaryText(recap) {
+  return t("recap.summary", { time: formatPlayTime(recap.playTime), attempts: recap.totalAttempts });
+}
+
+// ========================================
+// TIMELINE (DOM)
+// ========================================
+
+function el(tag, className, text) {
+  const node = document.createElement(tag);
+  node.className = className;
+  if (text != null) node.textContent = text;
+  return node;
+}
+
+/** Fill the finale's summary line and timeline list */
+export function renderRecapTimeline(summary, list, recap) {
+  summary.textContent = summaryText(recap);
+  list.innerHTML = "";
+
+  for (const entry of recap.entries) {
+    const item = el("li", "recap-entry");
+    const card = el("div", "recap-card");
+    card.append(
+      el("span", "recap-date", entry.date),
+      el("h4", "recap-title", `${entry.number}. ${entry.title}`),
+      el("span", "recap-door", entry.doorLabel)
+    );
+    if (entry.choice) card.append(el("p", "recap-choice", `“${entry.choice}”`));
+    // Saves from before attempts were tracked have none
+    if (entry.attempts > 0) card.append(el("span", "recap-attempts", attemptsText(entry.attempts)));
+    item.appendChild(card);
+    list.appendChild(item);
+  }
+}
+
+// ========================================
+// SHAREABLE IMAGE (canvas)
+// ========================================
+
+const IMAGE_WIDTH = 1080;
+const PAD = 60;
+const LINE_X = 110; // timeline spine
+const CARD_X = 150;
+const CARD_WIDTH = IMAGE_WIDTH - CARD_X - PAD;
+const CARD_PAD = 28;
+const CARD_GAP = 28;
+
+const COLORS = {
+  background: "#f5f0e8",
+  spine: "#c4a35a",
+  card: "#fff8f0",
+  cardBorder: "#e8e4d4",
+  title: "#5c3a1a",
+  text: "#5c4a3a",
+  accent: "#8b1a1a",
+  muted: "#8b7e6a",
+};
+
+const FONTS = {
+  heading: "64px 'Fredoka One', cursive",
+  summary: "600 28px 'Nunito', sans-serif",
+  date: "800 22px 'Nunito', sans-serif",
+  title: "38px 'Fredoka One', cursive",
+  door: "700 24px 'Nunito', sans-serif",
+  choice: "italic 600 26px 'Nunito', sans-serif",
+  attempts: "800 22px 'Nunito', sans-serif",
+};
+
+/** Split text into lines no wider than maxWidth in the current font */
+function wrapText(ctx, text, maxWidth) {
+  const lines = [];
+  let line = "";
+  for (const word of text.split(" ")) {
+    const next = line ? `${line} ${word}` : word;
+    if (line && ctx.measureText(next).width > maxWidth) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = next;
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+/** Lines of one card as [{ font, color, text, height }] */
+function cardLines(ctx, entry) {
+  const width = CARD_WIDTH - CARD_PAD * 2;
+  const lines = [];
+  const add = (font, color, text, lineHeight) => {
+    ctx.font = font;
+    for (const line of wrapText(ctx, text, width)) lines.push({ font, color, text: line, height: lineHeight });
+  };
+
+  add(FONTS.date, COLORS.muted, entry.date.toUpperCase(), 30);
+  add(FONTS.title, COLORS.title, `${entry.number}. ${entry.title}`, 48);
+  add(FONTS.door, COLORS.text, entry.doorLabel, 34);
+  if (entry.choice) add(FONTS.choice, COLORS.text, `“${entry.choice}”`, 36);
+  if (entry.attempts > 0) add(FONTS.attempts, COLORS.accent, attemptsText(entry.attempts), 32);
+  return lines;
+}
+
+/**
+ * Draw the recap as one tall PNG.
+ * @param {Object} recap — from buildRecap()
+ * @param {string} heading
+ * @returns {Promise<Blob>}
+ */
+async function drawRecapImage(recap, heading) {
+  // Canvas text silently falls back if the web fonts aren't ready yet
+  if (document.fonts) await document.fonts.ready;
+
+  const canvas = document.createElement("canvas");
+  const ctx = canvas.getContext("2d");
+
+  const cards = recap.entries.map((entry) => {
+    const lines = cardLines(ctx, entry);
+    return { lines, height: lines.reduce((sum, line) => sum + line.height, 0) + CARD_PAD * 2 };
+  });
+  const headerHeight = 220;
+  canvas.width = IMAGE_WIDTH;
+  canvas.height = headerHeight + cards.reduce((sum, card) => sum + card.height + CARD_GAP, 0) + PAD;
+
+  ctx.fillStyle = COLORS.background;
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+  // Header
+  ctx.textAlign = "center";
+  ctx.textBaseline = "top";
+  ctx.fillStyle = COLORS.title;
+  ctx.font = FONTS.heading;
+  ctx.fillText(heading, IMAGE_WIDTH / 2, PAD);
+  ctx.fillStyle = COLORS.text;
+  ctx.font = FONTS.summary;
+  ctx.fillText(summaryText(recap), IMAGE_WIDTH / 2, PAD + 90);
+
+  // Spine
+  ctx.fillStyle = COLORS.spine;
+  ctx.fillRect(LINE_X - 3, headerHeight, 6, canvas.height - headerHeight - PAD);
+
+  // Cards
+  ctx.textAlign = "left";
+  let y = headerHeight;
+  for (const card of cards) {
+    ctx.fillStyle = COLORS.card;
+    ctx.strokeStyle = COLORS.cardBorder;
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.roundRect(CARD_X, y, CARD_WIDTH, card.height, 18);
+    ctx.fill();
+    ctx.stroke();
+
+    // Pin on the spine, level with the date
+    ctx.fillStyle = COLORS.accent;
+    ctx.beginPath();
+    ctx.arc(LINE_X, y + CARD_PAD + 12, 12, 0, Math.PI * 2);
+    ctx.fill();
+
+    let lineY = y + CARD_PAD;
+    for (const line of card.lines) {
+      ctx.font = line.font;
+      ctx.fillStyle = line.color;
+      ctx.fillText(line.text, CARD_X + CARD_PAD, lineY);
+      lineY += line.height;
+    }
+    y += card.height + CARD_GAP;
+  }
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error("PNG encoding failed"))), "image/png");
+  });
+}
+
+/** Draw the recap image and download it as a .png file */
+export async function downloadRecapImage(recap, heading) {
+  const blob = await drawRecapImage(recap, heading);
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = "our-story-recap.png";
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,251 @@
+// ========================================
+// GAME STATE — Declared states, transitions and input routing
+// ========================================
+// Every top-level mode the game can be in, which modes it may move to
+// next, and which input actions it responds to. main.js owns the
+// commands the actions map to; this module only decides whether a
+// transition or action is allowed, so it runs without the DOM or WebGL.
+//
+// Input actions:
+//   confirm  — gamepad A
+//   jump     — Space
+//   interact — Enter
+//   back     — B / gamepad B
+//   menu     — pause (Escape / P / gamepad Menu)
+//   up, down, left, right — menu navigation (arrows, W/S, d-pad)
+//   look     — mouse drag, or mouse movement under pointer lock
+//   zoom     — mouse wheel (follow camera distance, photo mode FOV)
+//   photo    — photo mode (F / gamepad Y)
+//   photoFrame — cycle photo frames (X / gamepad RB)
+//   captions, backlog — caption toggles (C / L / gamepad View)
+
+const CAPTION_INPUT = { captions: "toggleCaptions", backlog: "toggleBacklog" };
+const PAUSE_INPUT = { menu: "pause" };
+
+// Space/Enter/A all advance whatever is on screen outside free-roam
+const ADVANCE = (command) => ({ confirm: command, jump: command, interact: command });
+
+export const GAME_STATES = {
+  welcome: {
+    transitions: ["hub", "finale"],
+    input: { confirm: "startOrContinue" },
+  },
+  hub: {
+    transitions: ["entering_zone", "paused", "photo"],
+    input: {
+      confirm: "enterDoor",
+      interact: "enterDoor",
+      look: "orbitCamera",
+      zoom: "zoomCamera",
+      photo: "enterPhoto",
+      ...CAPTION_INPUT,
+      ...PAUSE_INPUT,
+    },
+  },
+  entering_zone: {
+    transitions: ["in_zone", "level_sequence"],
+    input: { ...CAPTION_INPUT },
+  },
+  in_zone: {
+    transitions: ["choice", "level_sequence", "paused"],
+    input: { ...ADVANCE("continueStory"), ...CAPTION_INPUT, ...PAUSE_INPUT },
+  },
+  choice: {
+    transitions: ["choice_result", "level_sequence", "paused"],
+    input: { ...ADVANCE("pickChoice"), up: "choicePrev", down: "choiceNext", ...CAPTION_INPUT, ...PAUSE_INPUT },
+  },
+  choice_result: {
+    transitions: ["hub", "finale", "in_zone", "choice", "level_sequence", "paused"],
+    input: { confirm: "resolveResult", ...CAPTION_INPUT, ...PAUSE_INPUT },
+  },
+  level_sequence: {
+    transitions: ["level_freeroam", "in_zone", "choice", "choice_result", "paused"],
+    input: { ...ADVANCE("sequenceA"), back: "sequenceB", ...CAPTION_INPUT, ...PAUSE_INPUT },
+  },
+  level_freeroam: {
+    transitions: ["level_sequence", "in_zone", "choice", "choice_result", "paused", "photo"],
+    input: {
+      confirm: "interact",
+      interact: "interact",
+      jump: "jump",
+      look: "levelLook",
+      zoom: "levelZoom",
+      photo: "enterPhoto",
+      ...CAPTION_INPUT,
+      ...PAUSE_INPUT,
+    },
+  },
+  // Resumes to whichever state it was opened from, or back to the hallway
+  paused: {
+    transitions: ["hub", "in_zone", "choice", "choice_result", "level_sequence", "level_freeroam"],
+    input: {
+      menu: "resume",
+      back: "resume",
+      confirm: "pauseActivate",
+      up: "pausePrev",
+      down: "pauseNext",
+      left: "pauseDecrease",
+      right: "pauseIncrease",
+    },
+  },
+  // Everything frozen under a free camera; returns to where it was opened
+  photo: {
+    transitions: ["hub", "level_freeroam"],
+    input: {
+      confirm: "takePhoto",
+      interact: "takePhoto",
+      photo: "exitPhoto",
+      back: "exitPhoto",
+      menu: "exitPhoto",
+      photoFrame: "cyclePhotoFrame",
+      look: "photoLook",
+      zoom: "photoZoom",
+    },
+  },
+  finale: {
+    transitions: ["welcome"],
+    input: { confirm: "replay", up: "recapScrollUp", down: "recapScrollDown", ...CAPTION_INPUT },
+  },
+};
+
+const LOG_SIZE = 50;
+
+export class StateMachine {
+  /**
+   * @param {Object} states — name → { transitions: string[], input: { action: command } }
+   * @param {string} initial
+   */
+  constructor(states, initial, { now = () => Date.now() } = {}) {
+    if (!states[initial]) throw new Error(`Unknown initial state "${initial}"`);
+    this.states = states;
+    this.current = initial;
+    this.now = now;
+    this.enterHooks = new Map(); // state → Set<fn(from, reason)>
+    this.exitHooks = new Map(); // state → Set<fn(to, reason)>
+    this.changeListeners = new Set();
+    this.commands = {};
+    this.log = [];
+  }
+
+  // ========================================
+  // STATE
+  // ========================================
+
+  /** True if the current state is any of the given names */
+  is(...names) {
+    return names.includes(this.current);
+  }
+
+  can(to) {
+    return to === this.current || this.states[this.current].transitions.includes(to);
+  }
+
+  /**
+   * Move to another state, running exit then enter hooks. Moving to the
+   * current state is a no-op. Undeclared transitions are refused,
+   * logged and warned about.
+   * @returns {boolean} whether the machine is now in `to`
+   */
+  transition(to, reason = "") {
+    const from = this.current;
+    if (to === from) return true;
+
+    if (!this.states[to] || !this.can(to)) {
+      this.record(from, to, reason, false);
+      console.warn(`Refused game state transition ${from} → ${to}${reason ? ` (${reason})` : ""}`);
+      return false;
+    }
+
+    this.runHooks(this.exitHooks, from, to, reason);
+    this.current = to;
+    this.record(from, to, reason, true);
+    this.runHooks(this.enterHooks, to, from, reason);
+    this.changeListeners.forEach(fn => fn(to, from, reason));
+    return true;
+  }
+
+  // ========================================
+  // HOOKS
+  // ========================================
+
+  /** Run fn(from, reason) whenever `state` is entered. Returns an unsubscribe. */
+  onEnter(state, fn) {
+    return this.addHook(this.enterHooks, state, fn);
+  }
+
+  /** Run fn(to, reason) whenever `state` is left. Returns an unsubscribe. */
+  onExit(state, fn) {
+    return this.addHook(this.exitHooks, state, fn);
+  }
+
+  /** Run fn(to, from, reason) after every transition */
+  onChange(fn) {
+    this.changeListeners.add(fn);
+    return () => this.changeListeners.delete(fn);
+  }
+
+  addHook(hooks, state, fn) {
+    if (!this.states[state]) throw new Error(`Unknown game state "${state}"`);
+    if (!hooks.has(state)) hooks.set(state, new Set());
+    hooks.get(state).add(fn);
+    return () => hooks.get(state).delete(fn);
+  }
+
+  runHooks(hooks, state, other, reason) {
+    const set = hooks.get(state);
+    if (set) set.forEach(fn => fn(other, reason));
+  }
+
+  // ========================================
+  // INPUT ROUTING
+  // ========================================
+
+  /** Provide the functions the state table's command names refer to */
+  setCommands(commands) {
+    this.commands = commands;
+  }
+
+  /** Command name bound to an action in the current state, or null */
+  commandFor(action) {
+    return this.states[this.current].input[action] || null;
+  }
+
+  handles(action) {
+    return this.commandFor(action) !== null;
+  }
+
+  /**
+   * Route an input action to the current state's command.
+   * @returns {boolean} true if something handled it
+   */
+  dispatch(action, payload) {
+    const name = this.commandFor(action);
+    if (!name) return false;
+
+    const command = this.commands[name];
+    if (!command) {
+      console.warn(`No command "${name}" for action "${action}" in ${this.current}`);
+      return false;
+    }
+    command(payload);
+    return true;
+  }
+
+  // ========================================
+  // EVENT LOG
+  // ========================================
+
+  record(from, to, reason, accepted) {
+    this.log.push({ from, to, reason, accepted, time: this.now() });
+    if (this.log.length > LOG_SIZE) this.log.shift();
+  }
+
+  /** Recent transitions (accepted and refused), oldest first */
+  getLog() {
+    return [...this.log];
+  }
+}
+
+export function createGameStateMachine(options) {
+  return new StateMachine(GAME_STATES, "welcome", options);
+}
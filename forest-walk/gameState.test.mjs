@@ -0,0 +1,125 @@
+// ========================================
+// GAME STATE — transition table and input routing checks
+// ========================================
+// Runs without the DOM or WebGL: `npm test` (node --test).
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { GAME_STATES, StateMachine, createGameStateMachine } from "./gameState.js";
+
+/** Machine starting in `state`, with refusal warnings silenced */
+function machineIn(t, state) {
+  t.mock.method(console, "warn", () => {});
+  return new StateMachine(GAME_STATES, state, { now: () => 0 });
+}
+
+test("every transition targets a declared state", () => {
+  for (const [name, state] of Object.entries(GAME_STATES)) {
+    for (const to of state.transitions) {
+      assert.ok(GAME_STATES[to], `${name} → ${to} names an unknown state`);
+    }
+  }
+});
+
+test("every state is reachable from welcome", () => {
+  const seen = new Set(["welcome"]);
+  const queue = ["welcome"];
+  while (queue.length) {
+    for (const to of GAME_STATES[queue.shift()].transitions) {
+      if (!seen.has(to)) {
+        seen.add(to);
+        queue.push(to);
+      }
+    }
+  }
+  assert.deepEqual([...seen].sort(), Object.keys(GAME_STATES).sort());
+});
+
+test("declared transitions are allowed", (t) => {
+  const machine = machineIn(t, "hub");
+  assert.equal(machine.transition("entering_zone", "door"), true);
+  assert.equal(machine.current, "entering_zone");
+
+  const sequence = machineIn(t, "level_sequence");
+  assert.equal(sequence.transition("level_freeroam", "sequence done"), true);
+});
+
+test("only listed transitions are allowed", (t) => {
+  t.mock.method(console, "warn", () => {});
+  const machine = new StateMachine({
+    paused: { transitions: ["hub"], input: {} },
+    hub: { transitions: ["paused"], input: {} },
+    level_sequence: { transitions: [], input: {} },
+  }, "paused");
+
+  assert.equal(machine.can("level_sequence"), false);
+  assert.equal(machine.transition("level_sequence"), false);
+  assert.equal(machine.transition("hub"), true);
+});
+
+test("undeclared transitions are refused and logged", (t) => {
+  const machine = machineIn(t, "welcome");
+  assert.equal(machine.transition("level_sequence", "bad"), false);
+  assert.equal(machine.current, "welcome");
+  assert.equal(console.warn.mock.callCount(), 1);
+
+  const [entry] = machine.getLog();
+  assert.deepEqual(entry, { from: "welcome", to: "level_sequence", reason: "bad", accepted: false, time: 0 });
+
+  const hub = machineIn(t, "hub");
+  assert.equal(hub.transition("choice"), false);
+  assert.equal(hub.current, "hub");
+});
+
+test("moving to the current state is a no-op", (t) => {
+  const machine = machineIn(t, "hub");
+  assert.equal(machine.transition("hub"), true);
+  assert.equal(machine.getLog().length, 0);
+});
+
+test("enter, exit and change hooks run in order", (t) => {
+  const machine = machineIn(t, "hub");
+  const calls = [];
+  machine.onExit("hub", (to) => calls.push(`exit hub → ${to}`));
+  machine.onEnter("entering_zone", (from) => calls.push(`enter entering_zone ← ${from}`));
+  const off = machine.onChange((to, from) => calls.push(`change ${from} → ${to}`));
+
+  machine.transition("entering_zone");
+  off();
+  machine.transition("level_sequence");
+  assert.deepEqual(calls, [
+    "exit hub → entering_zone",
+    "enter entering_zone ← hub",
+    "change hub → entering_zone",
+  ]);
+});
+
+test("dispatch routes actions through the current state's input table", (t) => {
+  const machine = createGameStateMachine({ now: () => 0 });
+  t.mock.method(console, "warn", () => {});
+  const calls = [];
+  machine.setCommands({
+    startOrContinue: () => calls.push("start"),
+    toggleCaptions: () => calls.push("captions"),
+    enterDoor: () => calls.push("door"),
+    orbitCamera: ({ dx }) => calls.push(`look ${dx}`),
+  });
+
+  assert.equal(machine.dispatch("confirm"), true);
+  assert.equal(machine.dispatch("captions"), false); // not on the title screen
+
+  machine.transition("hub");
+  machine.dispatch("captions");
+  machine.dispatch("interact");
+  machine.dispatch("look", { dx: 3, dy: 0 });
+  assert.equal(machine.handles("jump"), false);
+
+  assert.deepEqual(calls, ["start", "captions", "door", "look 3"]);
+});
+
+test("dispatch reports a missing command instead of throwing", (t) => {
+  const machine = machineIn(t, "hub");
+  machine.setCommands({});
+  assert.equal(machine.dispatch("look", { dx: 1, dy: 0 }), false);
+  assert.equal(console.warn.mock.callCount(), 1);
+});
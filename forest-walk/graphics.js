@@ -0,0 +1,212 @@
+// ========================================
+// GRAPHICS — Quality presets and automatic downgrade
+// ========================================
+// Each preset sets the renderer pixel ratio, shadow map type and size,
+// which postprocessing effects run, how many NPCs the city spawns and
+// how far the fog reaches. The renderer-wide parts are applied here;
+// scenes apply the rest through applySceneQuality() and the level
+// API's applyGraphics().
+//
+// In "auto" mode, frame times are sampled for a few seconds after every
+// scene change; if the median frame is too slow the preset steps down
+// one level and sampling starts over. The level auto mode settles on is
+// remembered between sessions.
+
+import * as THREE from "three";
+
+const STORAGE_KEY = "our-story.graphics-auto";
+
+export const QUALITY_LEVELS = ["low", "medium", "high", "ultra"];
+
+export const GRAPHICS_PRESETS = {
+  low: {
+    pixelRatio: 0.75,
+    shadows: false,
+    shadowType: THREE.BasicShadowMap,
+    shadowMapSize: 512,
+    postprocessing: { bloom: false, vignette: false, smaa: null },
+    npcCount: 10,
+    fogScale: 0.6,
+  },
+  medium: {
+    pixelRatio: 1,
+    shadows: true,
+    shadowType: THREE.PCFShadowMap,
+    shadowMapSize: 1024,
+    postprocessing: { bloom: false, vignette: true, smaa: "low" },
+    npcCount: 20,
+    fogScale: 0.8,
+  },
+  high: {
+    pixelRatio: 1.5,
+    shadows: true,
+    shadowType: THREE.PCFSoftShadowMap,
+    shadowMapSize: 2048,
+    postprocessing: { bloom: true, vignette: true, smaa: "medium" },
+    npcCount: 40,
+    fogScale: 1,
+  },
+  ultra: {
+    pixelRatio: 2,
+    shadows: true,
+    shadowType: THREE.PCFSoftShadowMap,
+    shadowMapSize: 4096,
+    postprocessing: { bloom: true, vignette: true, smaa: "ultra" },
+    npcCount: 60,
+    fogScale: 1,
+  },
+};
+
+const AUTO_START_LEVEL = "high";
+const SAMPLE_WARMUP = 1.0; // seconds ignored after a scene change (shader compiles, uploads)
+const SAMPLE_DURATION = 3.0; // seconds of frames measured
+const SLOW_FRAME = 1 / 45; // median frame time that triggers a downgrade
+
+export class GraphicsQuality {
+  constructor(renderer, storage = window.localStorage) {
+    this.renderer = renderer;
+    this.storage = storage;
+    this.mode = null; // "auto" or one of QUALITY_LEVELS, set by setMode()
+    this.autoLevel = this._read();
+    this.sampling = null; // { elapsed, frames } while measuring
+    this.listeners = new Set();
+  }
+
+  /** The preset level in effect */
+  get level() {
+    return this.mode === "auto" ? this.autoLevel : this.mode;
+  }
+
+  get preset() {
+    return GRAPHICS_PRESETS[this.level];
+  }
+
+  /** "auto" or a fixed level. Switching back to auto starts over from High. */
+  setMode(mode) {
+    if (mode !== "auto" && !GRAPHICS_PRESETS[mode]) return;
+    if (mode === this.mode) return;
+
+    if (mode === "auto" && this.mode !== null) {
+      this.autoLevel = AUTO_START_LEVEL;
+      this._write();
+    }
+    this.mode = mode;
+    this.sampling = null;
+    this.apply();
+    if (mode === "auto") this.beginSampling();
+  }
+
+  /** Push the preset to the renderer and notify listeners */
+  apply() {
+    const preset = this.preset;
+    this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, preset.pixelRatio));
+    this.renderer.shadowMap.enabled = preset.shadows;
+    this.renderer.shadowMap.type = preset.shadowType;
+    this.listeners.forEach(fn => fn(preset, this.level));
+  }
+
+  /** Run fn(preset, level) whenever the effective preset changes */
+  onChange(fn) {
+    this.listeners.add(fn);
+    return () => this.listeners.delete(fn);
+  }
+
+  // ========================================
+  // AUTO DOWNGRADE
+  // ========================================
+
+  /** Start measuring frame times — call when a new scene becomes visible */
+  beginSampling() {
+    if (this.mode !== "auto") return;
+    this.sampling = { elapsed: 0, frames: [] };
+  }
+
+  /** Record one frame's duration (seconds). Call once per rendered frame. */
+  sample(dt) {
+    if (!this.sampling) return;
+
+    this.sampling.elapsed += dt;
+    if (this.sampling.elapsed < SAMPLE_WARMUP) return;
+    this.sampling.frames.push(dt);
+    if (this.sampling.elapsed < SAMPLE_WARMUP + SAMPLE_DURATION) return;
+
+    const frames = this.sampling.frames.sort((a, b) => a - b);
+    const median = frames[Math.floor(frames.length / 2)];
+    this.sampling = null;
+
+    const index = QUALITY_LEVELS.indexOf(this.autoLevel);
+    if (median > SLOW_FRAME && index > 0) {
+      this.autoLevel = QUALITY_LEVELS[index - 1];
+      this._write();
+      this.apply();
+      this.beginSampling();
+    }
+  }
+
+  // ========================================
+  // STORAGE HELPERS
+  // ========================================
+
+  _read() {
+    try {
+      const level = this.storage.getItem(STORAGE_KEY);
+      if (GRAPHICS_PRESETS[level]) return level;
+    } catch (e) {
+      console.warn("Ignoring unreadable graphics level:", e);
+    }
+    return AUTO_START_LEVEL;
+  }
+
+  _write() {
+    try {
+      this.storage.setItem(STORAGE_KEY, this.autoLevel);
+    } catch (e) {
+      console.warn("Failed to save graphics level:", e);
+    }
+  }
+}
+
+/**
+ * Apply the per-scene parts of a preset: fog distance and the shadow
+ * map size of every shadow-casting light. Original fog values are kept
+ * in scene.userData so presets can be switched back and forth.
+ */
+export function applySceneQuality(scene, preset) {
+  const fog = scene.fog;
+  if (fog) {
+    if (!scene.userData.baseFog) {
+      scene.userData.baseFog = fog.isFogExp2
+        ? { density: fog.density }
+        : { near: fog.near, far: fog.far };
+    }
+    const base = scene.userData.baseFog;
+    if (fog.isFogExp2) {
+      fog.density = base.density / preset.fogScale;
+    } else {
+      fog.near = base.near * preset.fogScale;
+      fog.far = base.far * preset.fogScale;
+    }
+  }
+
+  // Toggling renderer shadows doesn't recompile materials on its own
+  const shadowsChanged = scene.userData.shadows !== undefined && scene.userData.shadows !== preset.shadows;
+  scene.userData.shadows = preset.shadows;
+
+  scene.traverse((object) => {
+    if (object.isLight && object.castShadow && object.shadow) {
+      if (object.shadow.mapSize.x !== preset.shadowMapSize) {
+        object.shadow.mapSize.set(preset.shadowMapSize, preset.shadowMapSize);
+        // Reallocated at the new size on the next shadow pass
+        if (object.shadow.map) {
+          object.shadow.map.dispose();
+          object.shadow.map = null;
+        }
+      }
+      object.shadow.needsUpdate = true;
+    }
+    if (shadowsChanged && object.material) {
+      const materials = Array.isArray(object.material) ? object.material : [object.material];
+      materials.forEach(m => (m.needsUpdate = true));
+    }
+  });
+}
@@ -14,6 +14,21 @@ const HALL = {
   carpetWidth: 4,
 };
 
+const DOOR = {
+  width: 1.2,
+  height: 2.4,
+  frameThick: 0.15,
+  frameDepth: 0.12,
+};
+
+const STAIRS = {
+  startZ: HALL.length - 12,
+  stepCount: 14,
+  stepW: 4,
+  stepH: 0.2,
+  stepD: 0.55,
+};
+
 // Color palette
 const C = {
   floor: 0x3a2a1a,
@@ -26,8 +41,10 @@ const C = {
   doorFrame: 0x5c3a1a,
   doorPanel: 0x6b4226,
   doorPanelDetail: 0x7a5233,
+  doorway: 0x120a05,
   brass: 0xc4a35a,
   sconceBulb: 0xffd700,
+  lockedGlow: 0xd03a2a,
   lightPool: 0xffd700,
   fog: 0x1a1008,
   stairRail: 0x5c3a1a,
@@ -47,6 +64,7 @@ const MATS = {
   doorFrame: new THREE.MeshStandardMaterial({ color: C.doorFrame, roughness: 0.6, metalness: 0.1 }),
   doorPanel: new THREE.MeshStandardMaterial({ color: C.doorPanel, roughness: 0.5, metalness: 0.05 }),
   doorDetail: new THREE.MeshStandardMaterial({ color: C.doorPanelDetail, roughness: 0.5, metalness: 0.05 }),
+  doorway: new THREE.MeshBasicMaterial({ color: C.doorway }),
   brass: new THREE.MeshStandardMaterial({ color: C.brass, roughness: 0.3, metalness: 0.6 }),
   sconceBulb: new THREE.MeshStandardMaterial({
     color: C.sconceBulb,
@@ -199,22 +217,22 @@ function createDoors(scene, chapters) {
 
     // Door frame (3 pieces: two jambs + lintel)
     const jambs = [];
-    const doorW = 1.2;
-    const doorH = 2.4;
-    const frameThick = 0.15;
+    const doorW = DOOR.width;
+    const doorH = DOOR.height;
+    const frameThick = DOOR.frameThick;
 
     // Left jamb
-    const jl = new THREE.BoxGeometry(frameThick, doorH + frameThick, 0.12);
+    const jl = new THREE.BoxGeometry(frameThick, doorH + frameThick, DOOR.frameDepth);
     jl.translate(-(doorW / 2 + frameThick / 2), (doorH + frameThick) / 2, 0);
     jambs.push(jl);
 
     // Right jamb
-    const jr = new THREE.BoxGeometry(frameThick, doorH + frameThick, 0.12);
+    const jr = new THREE.BoxGeometry(frameThick, doorH + frameThick, DOOR.frameDepth);
     jr.translate(doorW / 2 + frameThick / 2, (doorH + frameThick) / 2, 0);
     jambs.push(jr);
 
     // Lintel
-    const lt = new THREE.BoxGeometry(doorW + frameThick * 2, frameThick, 0.12);
+    const lt = new THREE.BoxGeometry(doorW + frameThick * 2, frameThick, DOOR.frameDepth);
     lt.translate(0, doorH + frameThick / 2, 0);
     jambs.push(lt);
 
@@ -222,13 +240,26 @@ function createDoors(scene, chapters) {
     doorGroup.add(frame);
     jambs.forEach(g => g.dispose());
 
+    // Dark doorway behind the leaf, revealed as it swings into the room
+    const doorway = new THREE.Mesh(
+      new THREE.PlaneGeometry(doorW, doorH),
+      MATS.doorway
+    );
+    doorway.position.set(0, doorH / 2, -0.015);
+    doorGroup.add(doorway);
+
+    // Door leaf, hinged on the left edge (the handle is on the right)
+    const leaf = new THREE.Group();
+    leaf.position.x = -doorW / 2;
+    doorGroup.add(leaf);
+
     // Door panel
     const panel = new THREE.Mesh(
       new THREE.PlaneGeometry(doorW, doorH),
       MATS.doorPanel
     );
-    panel.position.set(0, doorH / 2, -0.01);
-    doorGroup.add(panel);
+    panel.position.set(doorW / 2, doorH / 2, -0.01);
+    leaf.add(panel);
 
     // Decorative inset panels (two rectangles)
     const panelGeos = [];
@@ -242,7 +273,8 @@ function createDoors(scene, chapters) {
     panelGeos.push(p2);
 
     const insets = new THREE.Mesh(mergeGeometries(panelGeos), MATS.doorDetail);
-    doorGroup.add(insets);
+    insets.position.x = doorW / 2;
+    leaf.add(insets);
     panelGeos.forEach(g => g.dispose());
 
     // Door handle
@@ -261,17 +293,21 @@ function createDoors(scene, chapters) {
     knob.position.z = 0.06;
     handleGroup.add(knob);
 
-    handleGroup.position.set(doorW / 2 - 0.12, doorH * 0.45, 0.05);
-    doorGroup.add(handleGroup);
+    handleGroup.position.set(doorW - 0.12, doorH * 0.45, 0.05);
+    leaf.add(handleGroup);
 
     scene.add(doorGroup);
 
     // Door label (canvas sprite above door)
     const label = chapter.doorLabel || chapter.buildingLabel || chapter.title;
-    addDoorLabel(scene, `${i + 1}. ${label}`, x, doorH + 0.4, z, side);
+    const labelSprite = addDoorLabel(scene, `${i + 1}. ${label}`, x, doorH + 0.4, z, side);
 
     doors.push({
       group: doorGroup,
+      leaf,
+      open: 0, // 0 closed → 1 fully open, eased towards openTarget
+      openTarget: 0,
+      label: labelSprite,
       z,
       side,
       index: i,
@@ -285,7 +321,20 @@ function addDoorLabel(scene, text, x, y, z, side) {
   const canvas = document.createElement("canvas");
   canvas.width = 512;
   canvas.height = 64;
+  drawDoorLabel(canvas, text);
+
+  const texture = new THREE.CanvasTexture(canvas);
+  const spriteMat = new THREE.SpriteMaterial({ map: texture, transparent: true });
+  const sprite = new THREE.Sprite(spriteMat);
+  sprite.position.set(x, y + 0.3, z);
+  sprite.scale.set(3.5, 0.45, 1);
+  scene.add(sprite);
+  return sprite;
+}
+
+function drawDoorLabel(canvas, text) {
   const ctx = canvas.getContext("2d");
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
 
   // Elegant room number plate style
   ctx.fillStyle = "rgba(250, 245, 239, 0.92)";
@@ -311,29 +360,64 @@ function addDoorLabel(scene, text, x, y, z, side) {
   ctx.font = "bold 26px Arial, sans-serif";
   ctx.textAlign = "center";
   ctx.textBaseline = "middle";
-  ctx.fillText(text, 256, 32);
+  ctx.fillText(text, 256, 32, 470); // squeeze longer translated labels
+}
 
-  const texture = new THREE.CanvasTexture(canvas);
-  const spriteMat = new THREE.SpriteMaterial({ map: texture, transparent: true });
-  const sprite = new THREE.Sprite(spriteMat);
-  sprite.position.set(x, y + 0.3, z);
-  sprite.scale.set(3.5, 0.45, 1);
-  scene.add(sprite);
+// ========================================
+// DOOR SWING
+// ========================================
+
+export const DOOR_SWING_TIME = 0.7; // seconds from closed to open
+const DOOR_OPEN_ANGLE = Math.PI * 0.45;
+
+/** Start a door swinging open (into the room) or shut */
+export function setDoorOpen(door, open) {
+  door.openTarget = open ? 1 : 0;
+}
+
+/** Advance door swings. Call once per frame while the hallway is shown. */
+export function updateDoors(doors, dt) {
+  const step = dt / DOOR_SWING_TIME;
+  doors.forEach((door) => {
+    if (door.open === door.openTarget) return;
+    door.open = door.openTarget > door.open
+      ? Math.min(door.openTarget, door.open + step)
+      : Math.max(door.openTarget, door.open - step);
+    // Positive yaw turns the leaf's free edge away from the hallway
+    door.leaf.rotation.y = THREE.MathUtils.smoothstep(door.open, 0, 1) * DOOR_OPEN_ANGLE;
+  });
+}
+
+/**
+ * Redraw door labels, e.g. after the language changes.
+ * getLabel(chapter) returns the text shown after the door number.
+ */
+export function refreshDoorLabels(doors, chapters, getLabel) {
+  doors.forEach((door) => {
+    const canvas = door.label.material.map.image;
+    drawDoorLabel(canvas, `${door.index + 1}. ${getLabel(chapters[door.index])}`);
+    door.label.material.map.needsUpdate = true;
+  });
 }
 
 // ========================================
 // WALL SCONCES (InstancedMesh + baked light)
 // ========================================
 
-function createSconces(scene) {
+/** Sconces sit between doors on both walls */
+function getSconcePositions() {
   const positions = [];
   const hw = HALL.width / 2;
 
-  // Place sconces between doors on both walls
   for (let z = HALL.doorStartZ - 3; z < HALL.length - 2; z += HALL.doorSpacing / 2) {
     positions.push({ x: -(hw - 0.05), z, side: -1 });
     positions.push({ x: hw - 0.05, z, side: 1 });
   }
+  return positions;
+}
+
+function createSconces(scene) {
+  const positions = getSconcePositions();
 
   // Sconce brackets (InstancedMesh)
   const bracketGeo = new THREE.BoxGeometry(0.08, 0.15, 0.1);
@@ -429,11 +513,7 @@ function createCeilingFixtures(scene) {
 // ========================================
 
 function createStaircase(scene) {
-  const stairStartZ = HALL.length - 12;
-  const stepCount = 14;
-  const stepW = 4;
-  const stepH = 0.2;
-  const stepD = 0.55;
+  const { startZ: stairStartZ, stepCount, stepW, stepH, stepD } = STAIRS;
 
   const stepGeos = [];
   const carpetGeos = [];
@@ -508,7 +588,7 @@ function createDoorMarkers(chapters) {
     glow.rotation.x = -Math.PI / 2;
     glow.position.set(x * 0.6, 0.02, z);
 
-    markers.push({ mesh: glow, material: glowMat, z, side, index: i });
+    markers.push({ mesh: glow, material: glowMat, z, side, index: i, lockedAt: -Infinity });
   });
 
   return markers;
@@ -567,10 +647,20 @@ export function buildHallway(scene, chapters) {
 // UPDATE DOOR MARKERS
 // ========================================
 
+const LOCKED_FLASH_TIME = 1.2; // seconds a locked door's marker blinks red
+
+/**
+ * Current door pulses, finished doors glow softly (they can be replayed
+ * as memories), locked doors stay dark unless just flashed.
+ */
 export function updateDoorMarkers(markers, currentIndex, visitedChapters, elapsedTime) {
   markers.forEach((marker, i) => {
     const isActive = i === currentIndex && !visitedChapters.has(i);
     const isVisited = visitedChapters.has(i);
+    const sinceLocked = elapsedTime - marker.lockedAt;
+
+    marker.material.color.setHex(C.sconceBulb);
+    marker.material.emissive.setHex(C.sconceBulb);
 
     if (isActive) {
       const pulse = 0.4 + 0.35 * Math.sin(elapsedTime * 2.5);
@@ -578,8 +668,15 @@ export function updateDoorMarkers(markers, currentIndex, visitedChapters, elapse
       marker.material.emissiveIntensity = 0.4 + 0.4 * Math.sin(elapsedTime * 2.5);
       marker.mesh.visible = true;
     } else if (isVisited) {
-      marker.material.opacity = 0.08;
-      marker.material.emissiveIntensity = 0.1;
+      marker.material.opacity = 0.18 + 0.05 * Math.sin(elapsedTime * 1.2);
+      marker.material.emissiveIntensity = 0.25;
+      marker.mesh.visible = true;
+    } else if (sinceLocked >= 0 && sinceLocked < LOCKED_FLASH_TIME) {
+      const fade = 1 - sinceLocked / LOCKED_FLASH_TIME;
+      marker.material.color.setHex(C.lockedGlow);
+      marker.material.emissive.setHex(C.lockedGlow);
+      marker.material.opacity = 0.6 * fade * (0.5 + 0.5 * Math.cos(sinceLocked * 18));
+      marker.material.emissiveIntensity = 0.8 * fade;
       marker.mesh.visible = true;
     } else {
       marker.mesh.visible = false;
@@ -587,6 +684,11 @@ export function updateDoorMarkers(markers, currentIndex, visitedChapters, elapse
   });
 }
 
+/** Blink a locked door's marker red, starting now */
+export function flashLockedDoor(marker, elapsedTime) {
+  marker.lockedAt = elapsedTime;
+}
+
 // ========================================
 // UPDATE DYNAMIC LIGHTS (follow player)
 // ========================================
@@ -598,18 +700,116 @@ export function updateHallwayLights(lights, playerZ) {
 }
 
 // ========================================
-// HALLWAY BOUNDS
+// HALLWAY BOUNDS & COLLIDERS
 // ========================================
 
+// Colliders are padded by this much so the character's body, not its
+// centre, stops at walls and fixtures
+const PLAYER_RADIUS = 0.35;
+
 export const HALLWAY_BOUNDS = {
-  minX: -2,
-  maxX: 2,
+  minX: -(HALL.width / 2 - PLAYER_RADIUS),
+  maxX: HALL.width / 2 - PLAYER_RADIUS,
   minZ: 2,
   maxZ: HALL.length - 5,
 };
 
 export const DOOR_TRIGGER_RADIUS = 2.0;
 
+/** Box3 spanning the hallway height, grown by PLAYER_RADIUS on each side */
+function paddedBox(minX, minZ, maxX, maxZ) {
+  return new THREE.Box3(
+    new THREE.Vector3(minX - PLAYER_RADIUS, 0, minZ - PLAYER_RADIUS),
+    new THREE.Vector3(maxX + PLAYER_RADIUS, HALL.height, maxZ + PLAYER_RADIUS)
+  );
+}
+
+/** Door jambs, sconce brackets and the staircase at the far end */
+export function getHallwayColliders(chapters) {
+  const hw = HALL.width / 2;
+  const colliders = [];
+
+  // Door jambs stand proud of the wall on either side of each door
+  chapters.forEach((chapter, i) => {
+    const side = i % 2 === 0 ? -1 : 1;
+    const z = HALL.doorStartZ + i * HALL.doorSpacing;
+    const faceX = side * (hw - 0.02 - DOOR.frameDepth / 2);
+    const jambOffset = DOOR.width / 2 + DOOR.frameThick / 2;
+
+    for (const jambZ of [z - jambOffset, z + jambOffset]) {
+      colliders.push(paddedBox(
+        Math.min(faceX, side * hw), jambZ - DOOR.frameThick / 2,
+        Math.max(faceX, side * hw), jambZ + DOOR.frameThick / 2
+      ));
+    }
+  });
+
+  // Sconce brackets (0.08 deep, 0.1 wide, centred 0.04 in from the sconce line)
+  for (const pos of getSconcePositions()) {
+    const faceX = pos.x - pos.side * 0.08;
+    colliders.push(paddedBox(
+      Math.min(faceX, pos.side * hw), pos.z - 0.05,
+      Math.max(faceX, pos.side * hw), pos.z + 0.05
+    ));
+  }
+
+  // Staircase — the steps aren't walkable, so it's one solid block
+  colliders.push(paddedBox(
+    -STAIRS.stepW / 2, STAIRS.startZ - STAIRS.stepD / 2,
+    STAIRS.stepW / 2, STAIRS.startZ + STAIRS.stepCount * STAIRS.stepD
+  ));
+
+  return colliders;
+}
+
+/** One trigger in front of each door; main.js decides which ones open */
+export function getDoorTriggers(chapters) {
+  return chapters.map((chapter, i) => ({
+    chapterIndex: i,
+    ...getDoorPosition(i),
+    radius: DOOR_TRIGGER_RADIUS,
+  }));
+}
+
+/** Where photo mode's free camera may fly: inside the walls, below the ceiling */
+export function getHallwayCameraBounds() {
+  const margin = 0.3;
+  return new THREE.Box3(
+    new THREE.Vector3(-HALL.width / 2 + margin, margin, margin),
+    new THREE.Vector3(HALL.width / 2 - margin, HALL.height - margin, HALL.length - margin)
+  );
+}
+
+// ========================================
+// HUB PLAYER CONFIG
+// ========================================
+
+/**
+ * PlayerController config for the hallway: a wide, high orbit camera
+ * that can't swing round to face the way you came, plus the hallway
+ * colliders and door triggers.
+ */
+export function getHubPlayerConfig(chapters) {
+  return {
+    moveSpeed: 6.0,
+    moveAccel: 15.0,
+    moveDecel: 10.0,
+    turnSpeed: 8.0,
+    camDistance: 9.0,
+    camHeight: 5.0,
+    camLookAtHeight: 3.5,
+    camSmoothing: 10.0,
+    camStickSensitivity: 3.0,
+    mouseSensitivity: 0.004,
+    yawClamp: [-Math.PI * 0.4, Math.PI * 0.4],
+    zoomLimits: [6.0, 14.0],
+    initialPitch: 0.3,
+    bounds: HALLWAY_BOUNDS,
+    colliders: getHallwayColliders(chapters),
+    triggers: getDoorTriggers(chapters),
+  };
+}
+
 export function getDoorPosition(chapterIndex) {
   const side = chapterIndex % 2 === 0 ? -1 : 1;
   const z = HALL.doorStartZ + chapterIndex * HALL.doorSpacing;
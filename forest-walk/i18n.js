@@ -0,0 +1,131 @@
+// ========================================
+// I18N — String tables + runtime locale switching
+// ========================================
+// UI strings live in locales/<code>.js keyed by dotted ids. Chapter
+// content stays in chapters.js (English) and is looked up by chapter
+// and beat id: "ch<id>.title", "ch<id>.choice0.response",
+// "ch<id>.beat.<beatId>". Lookups fall back to the shared key without
+// the chapter prefix, then to English, then to the text in the data.
+
+import en from "./locales/en.js";
+import es from "./locales/es.js";
+
+const STORAGE_KEY = "our-story.locale";
+const DEFAULT_LOCALE = "en";
+
+export const LOCALES = {
+  en: { name: "English", intl: "en-US", strings: en },
+  es: { name: "Español", intl: "es", strings: es },
+};
+
+let currentLocale = readStoredLocale();
+const listeners = new Set();
+document.documentElement.lang = currentLocale;
+
+// ========================================
+// LOCALE
+// ========================================
+
+export function getLocale() {
+  return currentLocale;
+}
+
+export function setLocale(code) {
+  if (!LOCALES[code] || code === currentLocale) return;
+  currentLocale = code;
+  document.documentElement.lang = code;
+  try {
+    window.localStorage.setItem(STORAGE_KEY, code);
+  } catch (e) {
+    console.warn("Failed to save language:", e);
+  }
+  listeners.forEach(fn => fn(code));
+}
+
+/** Subscribe to locale changes. Returns an unsubscribe function. */
+export function onLocaleChange(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+function readStoredLocale() {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    if (LOCALES[stored]) return stored;
+  } catch (e) {
+    // Storage unavailable — fall through to browser language
+  }
+  const browser = (navigator.language || "").slice(0, 2);
+  return LOCALES[browser] ? browser : DEFAULT_LOCALE;
+}
+
+// ========================================
+// LOOKUP
+// ========================================
+
+function lookup(key) {
+  return LOCALES[currentLocale].strings[key] ?? LOCALES[DEFAULT_LOCALE].strings[key];
+}
+
+/**
+ * Translate a key, filling {name} placeholders from params. Numbers
+ * are formatted for the current locale.
+ */
+export function t(key, params = null, fallback = key) {
+  const template = lookup(key) ?? fallback;
+  if (!params) return template;
+  return template.replace(/\{(\w+)\}/g, (match, name) => {
+    if (!(name in params)) return match;
+    const value = params[name];
+    return typeof value === "number" ? formatNumber(value) : String(value);
+  });
+}
+
+/** Chapter or beat string, falling back to the English in chapters.js */
+export function chapterText(chapter, field, fallback) {
+  return lookup(`ch${chapter.id}.${field}`) ?? lookup(field) ?? fallback;
+}
+
+/** Copy of a chapter with its display strings in the current locale */
+export function localizeChapter(chapter) {
+  return {
+    ...chapter,
+    date: formatChapterDate(chapter),
+    title: chapterText(chapter, "title", chapter.title),
+    doorLabel: chapterText(chapter, "doorLabel", chapter.doorLabel),
+    storyText: chapterText(chapter, "storyText", chapter.storyText),
+    choicePrompt: chapterText(chapter, "choicePrompt", chapter.choicePrompt),
+    quote: chapter.quote ? chapterText(chapter, "quote", chapter.quote) : null,
+    choices: chapter.choices.map((choice, i) => ({
+      ...choice,
+      text: chapterText(chapter, `choice${i}.text`, choice.text),
+      response: chapterText(chapter, `choice${i}.response`, choice.response),
+    })),
+  };
+}
+
+// ========================================
+// FORMATTING
+// ========================================
+
+export function formatNumber(value) {
+  return new Intl.NumberFormat(LOCALES[currentLocale].intl).format(value);
+}
+
+/** Chapter dates are written in English ("July 26, 2025") in the data */
+export function formatChapterDate(chapter) {
+  const date = new Date(chapter.date);
+  if (Number.isNaN(date.getTime())) return chapter.date;
+  return new Intl.DateTimeFormat(LOCALES[currentLocale].intl, { dateStyle: "long" }).format(date);
+}
+
+// ========================================
+// DOM
+// ========================================
+
+/** Fill every [data-i18n] element's text from the current table */
+export function applyDomStrings(root = document) {
+  root.querySelectorAll("[data-i18n]").forEach((el) => {
+    el.textContent = t(el.dataset.i18n);
+  });
+}
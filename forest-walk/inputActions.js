@@ -0,0 +1,330 @@
+// ========================================
+// INPUT ACTIONS — Rebindable keyboard / mouse / gamepad mapping
+// ========================================
+// Every physical input is named by a binding code:
+//   keyboard  — KeyboardEvent.code ("KeyW", "Space", "ArrowUp")
+//   mouse     — "Mouse<button>" ("Mouse0" = left button)
+//   gamepad   — "Pad<button>" ("Pad0" = A) or "Axis<index><+|->"
+//               for one half of a stick axis ("Axis1-" = left stick up)
+//   touch     — "Touch<name>", set by the on-screen controls through
+//               setVirtual() ("TouchA", "TouchUp" for the stick)
+// Actions map to lists of codes. poll() runs once per frame and turns
+// the raw state into action values with pressed/released edges, so
+// every device gets the same just-pressed semantics.
+
+const STORAGE_KEY = "our-story.bindings";
+const STICK_DEADZONE = 0.15;
+const CAPTURE_AXIS_THRESHOLD = 0.6;
+
+export const DEFAULT_BINDINGS = {
+  // Movement / camera (analog)
+  moveForward: ["KeyW", "ArrowUp", "Axis1-", "TouchUp"],
+  moveBack: ["KeyS", "ArrowDown", "Axis1+", "TouchDown"],
+  moveLeft: ["KeyA", "ArrowLeft", "Axis0-", "TouchLeft"],
+  moveRight: ["KeyD", "ArrowRight", "Axis0+", "TouchRight"],
+  lookLeft: ["Axis2-"],
+  lookRight: ["Axis2+"],
+  lookUp: ["Axis3-"],
+  lookDown: ["Axis3+"],
+  look: ["Mouse0"], // hold to drag-look
+
+  // Buttons (routed through the game state table)
+  confirm: ["Pad0", "TouchA"],
+  interact: ["Enter"],
+  jump: ["Space", "Pad2", "TouchJump"],
+  back: ["KeyB", "Pad1", "TouchB"],
+  menu: ["Escape", "KeyP", "Pad9", "TouchMenu"],
+  up: ["ArrowUp", "KeyW", "Pad12"],
+  down: ["ArrowDown", "KeyS", "Pad13"],
+  left: ["ArrowLeft", "KeyA", "Pad14"],
+  right: ["ArrowRight", "KeyD", "Pad15"],
+  captions: ["KeyC"],
+  backlog: ["KeyL", "Pad8"],
+  photo: ["KeyF", "Pad3", "TouchPhoto"],
+  photoFrame: ["KeyX", "Pad5"],
+};
+
+// Actions listed in the controls panel, in display order
+export const REBINDABLE_ACTIONS = [
+  "moveForward", "moveBack", "moveLeft", "moveRight",
+  "interact", "jump", "confirm", "back", "menu",
+  "up", "down", "left", "right", "captions", "backlog",
+  "photo", "photoFrame",
+];
+
+/** "keyboard" (keys and mouse), "gamepad" or "touch" */
+export function codeDevice(code) {
+  if (code.startsWith("Pad") || code.startsWith("Axis")) return "gamepad";
+  if (code.startsWith("Touch")) return "touch";
+  return "keyboard";
+}
+
+function deadzone(v, threshold = STICK_DEADZONE) {
+  return Math.abs(v) < threshold ? 0 : ((Math.abs(v) - threshold) / (1 - threshold)) * Math.sign(v);
+}
+
+export class InputActions {
+  constructor(storage = window.localStorage) {
+    this.storage = storage;
+    this.bindings = this.loadBindings();
+
+    this.held = new Set(); // keyboard / mouse codes currently down
+    this.virtual = new Map(); // touch code → 0..1
+    this.latched = new Set(); // pressed since the last poll (catches taps shorter than a frame)
+    this.values = {}; // action → 0..1 this frame
+    this.prevValues = {}; // action → 0..1 last frame
+    this.capture = null; // { device, resolve } while waiting for a new binding
+    this.prevPadButtons = [];
+
+    this.lastDevice = "keyboard"; // keyboard | gamepad | touch — whichever was used last
+    this.padId = "";
+    this.onDeviceChange = null; // (device, padId) → void
+  }
+
+  /** Listen for keyboard and mouse events on the given target */
+  attach(target = window) {
+    target.addEventListener("keydown", (e) => {
+      if (this.capture && this.capture.device === "keyboard") {
+        e.preventDefault();
+        this.finishCapture(e.code === "Escape" ? null : e.code);
+        return;
+      }
+      this.held.add(e.code);
+      this.latched.add(e.code);
+      this.noteDevice("keyboard");
+    });
+    target.addEventListener("keyup", (e) => this.held.delete(e.code));
+    target.addEventListener("mousedown", (e) => {
+      this.held.add(`Mouse${e.button}`);
+      this.latched.add(`Mouse${e.button}`);
+    });
+    target.addEventListener("mouseup", (e) => this.held.delete(`Mouse${e.button}`));
+    // Pointer type tells real mouse clicks from taps (which also emit mouse events)
+    target.addEventListener("pointerdown", (e) => {
+      this.noteDevice(e.pointerType === "mouse" ? "keyboard" : "touch");
+    });
+    // Keys released while the window is unfocused never send keyup
+    target.addEventListener("blur", () => this.held.clear());
+  }
+
+  // ========================================
+  // POLLING
+  // ========================================
+
+  /** Sample every device and update action values. Call once per frame. */
+  poll() {
+    const pad = navigator.getGamepads?.()[0] || null;
+
+    if (this.capture && this.capture.device === "gamepad" && pad) {
+      const code = this.findPressedPadCode(pad);
+      if (code) this.finishCapture(code);
+    }
+    if (pad && this.padActive(pad)) this.noteDevice("gamepad", pad.id);
+    this.prevPadButtons = pad ? pad.buttons.map(b => b.pressed) : [];
+
+    this.prevValues = this.values;
+    this.values = {};
+    for (const [action, codes] of Object.entries(this.bindings)) {
+      let value = 0;
+      for (const code of codes) value = Math.max(value, this.codeValue(code, pad));
+      this.values[action] = value;
+    }
+    this.latched.clear();
+  }
+
+  codeValue(code, pad) {
+    if (this.capture) return 0;
+
+    if (code.startsWith("Pad")) {
+      const button = pad && pad.buttons[Number(code.slice(3))];
+      return button && button.pressed ? 1 : 0;
+    }
+    if (code.startsWith("Axis")) {
+      if (!pad) return 0;
+      const axis = deadzone(pad.axes[Number(code.slice(4, -1))] || 0);
+      return code.endsWith("-") ? Math.max(0, -axis) : Math.max(0, axis);
+    }
+    if (code.startsWith("Touch")) {
+      return Math.max(this.virtual.get(code) || 0, this.latched.has(code) ? 1 : 0);
+    }
+    return this.held.has(code) || this.latched.has(code) ? 1 : 0;
+  }
+
+  /** Drive a "Touch*" code from on-screen controls (0 releases it) */
+  setVirtual(code, value) {
+    if (value > 0 && !(this.virtual.get(code) > 0)) this.latched.add(code);
+    if (value > 0) this.noteDevice("touch");
+    this.virtual.set(code, value);
+  }
+
+  // ========================================
+  // ACTIVE DEVICE
+  // ========================================
+
+  padActive(pad) {
+    return pad.buttons.some(b => b.pressed) || pad.axes.some(a => Math.abs(a) > STICK_DEADZONE * 2);
+  }
+
+  noteDevice(device, padId = this.padId) {
+    if (device === this.lastDevice && padId === this.padId) return;
+    this.lastDevice = device;
+    this.padId = padId;
+    if (this.onDeviceChange) this.onDeviceChange(device, padId);
+  }
+
+  // ========================================
+  // QUERIES
+  // ========================================
+
+  value(action) {
+    return this.values[action] || 0;
+  }
+
+  isDown(action) {
+    return this.value(action) > 0.5;
+  }
+
+  justPressed(action) {
+    return this.isDown(action) && !((this.prevValues[action] || 0) > 0.5);
+  }
+
+  justReleased(action) {
+    return !this.isDown(action) && (this.prevValues[action] || 0) > 0.5;
+  }
+
+  /** Camera-relative move input: x = left, z = forward, each -1..1 */
+  getMove() {
+    return {
+      x: Math.max(-1, Math.min(1, this.value("moveLeft") - this.value("moveRight"))),
+      z: Math.max(-1, Math.min(1, this.value("moveForward") - this.value("moveBack"))),
+    };
+  }
+
+  /** Stick look input: x = right, y = down */
+  getLook() {
+    return {
+      x: this.value("lookRight") - this.value("lookLeft"),
+      y: this.value("lookDown") - this.value("lookUp"),
+    };
+  }
+
+  /** True if `code` is bound to any of the given actions */
+  isBound(code, ...actions) {
+    return actions.some(action => (this.bindings[action] || []).includes(code));
+  }
+
+  // ========================================
+  // REBINDING
+  // ========================================
+
+  getBindings(action) {
+    return [...(this.bindings[action] || [])];
+  }
+
+  /** Replace an action's codes for one device, keeping the other devices' */
+  rebind(action, device, codes) {
+    if (!this.bindings[action]) return;
+    const keep = this.bindings[action].filter(code => codeDevice(code) !== device);
+    this.bindings[action] = [...codes, ...keep];
+    this.saveBindings();
+  }
+
+  resetBindings() {
+    this.bindings = structuredClone(DEFAULT_BINDINGS);
+    this.saveBindings();
+  }
+
+  /**
+   * Wait for the next key ("keyboard") or button / stick push ("gamepad").
+   * Resolves with the binding code, or null if cancelled (Escape or
+   * cancelCapture()). Inputs pressed during capture don't trigger actions.
+   */
+  captureNext(device) {
+    this.cancelCapture();
+    return new Promise((resolve) => {
+      this.capture = { device, resolve };
+    });
+  }
+
+  cancelCapture() {
+    if (this.capture) this.finishCapture(null);
+  }
+
+  finishCapture(code) {
+    const { resolve } = this.capture;
+    this.capture = null;
+    this.held.clear();
+    resolve(code);
+  }
+
+  findPressedPadCode(pad) {
+    for (let i = 0; i < pad.buttons.length; i++) {
+      if (pad.buttons[i].pressed && !this.prevPadButtons[i]) return `Pad${i}`;
+    }
+    for (let i = 0; i < pad.axes.length; i++) {
+      if (Math.abs(pad.axes[i]) > CAPTURE_AXIS_THRESHOLD) return `Axis${i}${pad.axes[i] < 0 ? "-" : "+"}`;
+    }
+    return null;
+  }
+
+  // ========================================
+  // STORAGE HELPERS
+  // ========================================
+
+  loadBindings() {
+    const bindings = structuredClone(DEFAULT_BINDINGS);
+    try {
+      const stored = JSON.parse(this.storage.getItem(STORAGE_KEY) || "{}");
+      for (const [action, codes] of Object.entries(stored)) {
+        if (bindings[action] && Array.isArray(codes) && codes.every(c => typeof c === "string")) {
+          bindings[action] = codes;
+        }
+      }
+    } catch (e) {
+      console.warn("Ignoring unreadable key bindings:", e);
+    }
+    return bindings;
+  }
+
+  saveBindings() {
+    // Only store actions that differ from the defaults
+    const changed = {};
+    for (const [action, codes] of Object.entries(this.bindings)) {
+      if (codes.join() !== DEFAULT_BINDINGS[action].join()) changed[action] = codes;
+    }
+    try {
+      this.storage.setItem(STORAGE_KEY, JSON.stringify(changed));
+    } catch (e) {
+      console.warn("Failed to save key bindings:", e);
+    }
+  }
+}
+
+// ========================================
+// LABELS
+// ========================================
+
+const KEY_LABELS = {
+  Space: "Space",
+  Enter: "Enter",
+  Escape: "Esc",
+  ArrowUp: "↑",
+  ArrowDown: "↓",
+  ArrowLeft: "←",
+  ArrowRight: "→",
+  ShiftLeft: "Shift",
+  ShiftRight: "Shift",
+  Mouse0: "Left Click",
+  Mouse1: "Middle Click",
+  Mouse2: "Right Click",
+};
+
+/** Short display name for a binding code */
+export function bindingLabel(code) {
+  if (KEY_LABELS[code]) return KEY_LABELS[code];
+  if (code.startsWith("Key")) return code.slice(3);
+  if (code.startsWith("Digit")) return code.slice(5);
+  if (code.startsWith("Pad")) return `Button ${code.slice(3)}`;
+  if (code.startsWith("Axis")) return `Axis ${code.slice(4)}`;
+  return code;
+}
@@ -0,0 +1,141 @@
+// ========================================
+// INPUT GLYPHS — Button prompts for the device in use
+// ========================================
+// Tracks the last device the player touched (via InputActions) and the
+// connected pad's family from gamepad.id, then renders every element
+// with a data-glyph attribute as that device's button for the action:
+//
+//   <span class="prompt-key" data-glyph="primary"></span>
+//
+// data-glyph is an action name from inputActions.js, or "primary" for
+// the advance/interact button (Enter on keyboard, A / ✕ / B on pads).
+// Elements are re-rendered when the device changes, when bindings
+// change, and whenever a data-glyph attribute is added or edited.
+
+import { bindingLabel, codeDevice } from "./inputActions.js";
+
+export const PAD_GLYPHS = {
+  xbox: {
+    0: "A", 1: "B", 2: "X", 3: "Y", 4: "LB", 5: "RB", 6: "LT", 7: "RT",
+    8: "View", 9: "Menu", 10: "LS", 11: "RS", 12: "↑", 13: "↓", 14: "←", 15: "→",
+  },
+  playstation: {
+    0: "✕", 1: "○", 2: "□", 3: "△", 4: "L1", 5: "R1", 6: "L2", 7: "R2",
+    8: "Create", 9: "Options", 10: "L3", 11: "R3", 12: "↑", 13: "↓", 14: "←", 15: "→",
+  },
+  // Browsers report Switch pads by position, so button 0 (bottom) is B
+  switch: {
+    0: "B", 1: "A", 2: "Y", 3: "X", 4: "L", 5: "R", 6: "ZL", 7: "ZR",
+    8: "−", 9: "+", 10: "LS", 11: "RS", 12: "↑", 13: "↓", 14: "←", 15: "→",
+  },
+};
+
+const STICK_GLYPHS = { 0: "LS", 1: "LS", 2: "RS", 3: "RS" };
+const TOUCH_GLYPHS = { TouchA: "A", TouchB: "B", TouchJump: "⤴", TouchMenu: "❚❚", TouchPhoto: "◉" };
+
+/** Pad family from a Gamepad.id string */
+export function detectPadFamily(id = "") {
+  if (/054c|playstation|dualshock|dualsense/i.test(id)) return "playstation";
+  if (/057e|nintendo|switch|pro controller|joy-con/i.test(id)) return "switch";
+  return "xbox";
+}
+
+export class InputGlyphs {
+  constructor(input) {
+    this.input = input;
+    this.device = "keyboard"; // keyboard | gamepad | touch
+    this.family = "keyboard"; // keyboard | xbox | playstation | switch | touch
+    this.listeners = new Set();
+    this.root = null;
+    this.observer = null;
+
+    input.onDeviceChange = (device, padId) => this.setDevice(device, padId);
+  }
+
+  /** Render existing [data-glyph] elements and watch for new ones */
+  start(root = document.body) {
+    this.root = root;
+    this.refresh();
+
+    this.observer = new MutationObserver((mutations) => {
+      for (const m of mutations) {
+        if (m.type === "attributes") {
+          this.render(m.target);
+        } else {
+          m.addedNodes.forEach((node) => {
+            if (node.nodeType !== Node.ELEMENT_NODE) return;
+            if (node.dataset.glyph) this.render(node);
+            node.querySelectorAll("[data-glyph]").forEach(el => this.render(el));
+          });
+        }
+      }
+    });
+    this.observer.observe(root, { subtree: true, childList: true, attributes: true, attributeFilter: ["data-glyph"] });
+  }
+
+  setDevice(device, padId = "") {
+    const family = device === "gamepad" ? detectPadFamily(padId) : device;
+    if (device === this.device && family === this.family) return;
+    this.device = device;
+    this.family = family;
+    this.refresh();
+    this.listeners.forEach(fn => fn(device, family));
+  }
+
+  /** Run fn(device, family) when the player switches devices */
+  onChange(fn) {
+    this.listeners.add(fn);
+    return () => this.listeners.delete(fn);
+  }
+
+  // ========================================
+  // LABELS
+  // ========================================
+
+  /** The action a glyph name stands for on the current device */
+  resolveAction(name) {
+    if (name !== "primary") return name;
+    return this.device === "keyboard" ? "interact" : "confirm";
+  }
+
+  /** Button label for an action (or "primary") on the current device */
+  label(name) {
+    const codes = this.input.getBindings(this.resolveAction(name))
+      .filter(code => codeDevice(code) === this.device);
+    if (codes.length === 0) return "?";
+    return this.codeLabel(codes[0]);
+  }
+
+  codeLabel(code) {
+    if (code.startsWith("Pad")) {
+      const glyphs = PAD_GLYPHS[this.family] || PAD_GLYPHS.xbox;
+      return glyphs[Number(code.slice(3))] || bindingLabel(code);
+    }
+    if (code.startsWith("Axis")) return STICK_GLYPHS[Number(code.slice(4, -1))] || bindingLabel(code);
+    if (code.startsWith("Touch")) return TOUCH_GLYPHS[code] || code.slice(5);
+    return bindingLabel(code);
+  }
+
+  /** Labels for several actions, keyed by action — for t() params */
+  labels(names) {
+    return Object.fromEntries(names.map(name => [name, this.label(name)]));
+  }
+
+  // ========================================
+  // DOM
+  // ========================================
+
+  render(el) {
+    const name = el.dataset.glyph;
+    if (!name) return;
+    el.textContent = this.label(name);
+    el.classList.remove("glyph-keyboard", "glyph-xbox", "glyph-playstation", "glyph-switch", "glyph-touch");
+    el.classList.add(`glyph-${this.family}`);
+  }
+
+  /** Re-render every glyph, e.g. after a rebind */
+  refresh() {
+    if (!this.root) return; // not started
+    this.root.querySelectorAll("[data-glyph]").forEach(el => this.render(el));
+  }
+}
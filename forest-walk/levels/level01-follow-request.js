@@ -12,11 +12,13 @@ import { FBXLoader } from "three/addons/loaders/FBXLoader.js";
 import { buildSubwayScene } from "./level01/SubwayScene.js";
 import { buildCityScene, BUILDING_ENTRANCE, CITY_BOUNDS } from "./level01/CityScene.js";
 import { buildOfficeScene, INTERACTION_POINTS, OFFICE_BOUNDS } from "./level01/OfficeScene.js";
-import { PlayerController } from "./level01/PlayerController.js";
+import { PlayerController } from "../playerController.js";
 import { InteractionSystem } from "./level01/InteractionSystem.js";
 import { ComputerScreen } from "./level01/ComputerScreen.js";
 import { PhoneUI } from "./level01/PhoneUI.js";
-import { createPostprocessing, disposeScene } from "./levelUtils.js";
+import { createPostprocessing, createObjectRegistry, disposeScene } from "./levelUtils.js";
+import { audio } from "../audioManager.js";
+import { GRAPHICS_PRESETS, applySceneQuality } from "../graphics.js";
 
 /**
  * Load the business-man NPC model (FBX) and apply its textures.
@@ -70,11 +72,30 @@ const PHASES = {
   OFFICE: "OFFICE",
 };
 
+// Photo mode free-camera limits per phase (rooms are 16×12×3.5 in the office)
+const PHASE_CAMERA_BOUNDS = {
+  CITY: new THREE.Box3(
+    new THREE.Vector3(CITY_BOUNDS.minX, 0.3, CITY_BOUNDS.minZ),
+    new THREE.Vector3(CITY_BOUNDS.maxX, 25, CITY_BOUNDS.maxZ)
+  ),
+  OFFICE: new THREE.Box3(
+    new THREE.Vector3(-7.7, 0.3, -5.7),
+    new THREE.Vector3(7.7, 3.2, 5.7)
+  ),
+};
+
+// Ambience loop + music track per phase (crossfaded on setPhase)
+const PHASE_AUDIO = {
+  SUBWAY: { ambience: "subway_hum", music: "commute_theme" },
+  CITY: { ambience: "city_traffic", music: "commute_theme" },
+  OFFICE: { ambience: "office_chatter", music: "office_theme" },
+};
+
 // ========================================
 // CREATE LEVEL (exported, async)
 // ========================================
 
-export async function create(chapter, renderer) {
+export async function create(chapter, renderer, { graphics = GRAPHICS_PRESETS.high } = {}) {
   // Load all GLB/FBX models in parallel
   const gltfLoader = new GLTFLoader();
   const fbxLoader = new FBXLoader();
@@ -98,7 +119,7 @@ export async function create(chapter, renderer) {
 
   // Build all sub-scenes with loaded models
   const subway = buildSubwayScene(subwayGltf);
-  const city = buildCityScene(cityGltf, npcGltfs, { edificioGltf, walkClip: npcWalkClip });
+  const city = buildCityScene(cityGltf, npcGltfs, { edificioGltf, walkClip: npcWalkClip, npcCount: graphics.npcCount });
   const office = buildOfficeScene({ npcTemplate: businessManNPC ? businessManNPC.clone() : null });
 
   // Current phase state
@@ -106,7 +127,17 @@ export async function create(chapter, renderer) {
   let activeSubScene = subway;
 
   // Postprocessing
-  const pp = createPostprocessing(renderer, subway.scene, subway.camera);
+  const pp = createPostprocessing(renderer, subway.scene, subway.camera, graphics.postprocessing);
+
+  /** Apply a graphics preset to every sub-scene (fog, shadows, NPCs, effects) */
+  function applyGraphics(preset) {
+    for (const sub of [subway, city, office]) applySceneQuality(sub.scene, preset);
+    if (city.npcSystem) city.npcSystem.setActiveCount(preset.npcCount);
+    pp.setEffects(preset.postprocessing);
+    // Pixel ratio may have changed
+    pp.setSize(window.innerWidth, window.innerHeight);
+  }
+  applyGraphics(graphics);
 
   // Player controller (used in City and Office phases)
   const playerAnchor = new THREE.Object3D();
@@ -122,6 +153,13 @@ export async function create(chapter, renderer) {
     initialYaw: 0,
   });
 
+  // Named objects that sequence beats can target
+  const namedObjects = createObjectRegistry();
+  namedObjects.register("player", playerAnchor, { headOffset: 2.0 });
+  namedObjects.register("train", subway.trainGroup, { headOffset: 3.2 });
+  namedObjects.register("phone", office.phoneMesh, { headOffset: 0.15 });
+  namedObjects.register("coworker", office.coworkers[0], { headOffset: 1.5 });
+
   // Interaction system
   const interactions = new InteractionSystem();
 
@@ -143,6 +181,13 @@ export async function create(chapter, renderer) {
 
     currentPhase = phase;
 
+    const phaseAudio = PHASE_AUDIO[phase];
+    if (phaseAudio) {
+      audio.playAmbience(phaseAudio.ambience);
+      audio.playMusic(phaseAudio.music);
+    }
+    if (phase !== PHASES.SUBWAY) stopTrainAudio();
+
     switch (phase) {
       case PHASES.SUBWAY:
         activeSubScene = subway;
@@ -157,6 +202,7 @@ export async function create(chapter, renderer) {
         playerAnchor.position.set(0, 0, -2);
         playerController.camera = city.camera;
         playerController.setBounds(CITY_BOUNDS);
+        playerController.cfg.zoomLimits = [3.0, 10.0];
         playerController.yaw = 0;
         playerController.pitch = 0.3;
 
@@ -188,6 +234,7 @@ export async function create(chapter, renderer) {
         playerController.cfg.camDistance = 4.0;
         playerController.cfg.camHeight = 2.0;
         playerController.cfg.camLookAtHeight = 1.5;
+        playerController.cfg.zoomLimits = [2.5, 6.0];
 
         // Player's L-desk (main surface + extension) — padded for character model width
         playerController.addCollider(new THREE.Box3(
@@ -232,6 +279,41 @@ export async function create(chapter, renderer) {
     }
   }
 
+  // ========================================
+  // TRAIN AUDIO — follows the arrival state machine
+  // ========================================
+
+  let lastTrainState = null;
+  let trainRumble = null;
+
+  function updateTrainAudio() {
+    const state = subway.getTrainState();
+    if (state === lastTrainState) return;
+    lastTrainState = state;
+
+    const emitter = { object: subway.trainGroup, refDistance: 6 };
+    switch (state) {
+      case "APPROACHING":
+        trainRumble = audio.play("train_rumble", { ...emitter, loop: true, fadeIn: 0.5 });
+        break;
+      case "BRAKING":
+        audio.play("train_brakes", emitter);
+        break;
+      case "STOPPED":
+        if (trainRumble) trainRumble.stop(1.0);
+        trainRumble = null;
+        break;
+      case "DOORS_OPEN":
+        audio.play("train_doors", emitter);
+        break;
+    }
+  }
+
+  function stopTrainAudio() {
+    if (trainRumble) trainRumble.stop(0.5);
+    trainRumble = null;
+  }
+
   // ========================================
   // LEVEL API (returned to SceneManager)
   // ========================================
@@ -251,18 +333,27 @@ export async function create(chapter, renderer) {
 
     // Custom render with postprocessing
     render() {
-      pp.composer.render();
+      pp.render();
+    },
+
+    // Postprocessing pipeline (photo mode adjusts its effects)
+    postprocessing: pp,
+
+    // Free-camera limits for photo mode (null in the subway — no free-roam there)
+    getCameraBounds() {
+      return PHASE_CAMERA_BOUNDS[currentPhase] || null;
     },
 
     // Per-frame update
     update(dt) {
       if (activeSubScene.update) activeSubScene.update(dt);
+      if (currentPhase === PHASES.SUBWAY) updateTrainAudio();
       if (playerController.enabled) {
         interactions.update(playerAnchor.position);
       }
     },
 
-    // Input handling (called from main.js during level_freeroam)
+    // Input handling (called from main.js during level_freeroam with the InputActions layer)
     handleInput(input, dt) {
       playerController.update(input, dt);
     },
@@ -272,6 +363,21 @@ export async function create(chapter, renderer) {
       playerController.handleMouseLook(dx, dy);
     },
 
+    // Wheel zoom (called from main.js), limited per phase
+    zoomCamera(steps) {
+      playerController.zoom(steps);
+    },
+
+    // Pause-menu settings (sensitivity, invert Y, FOV), applied live
+    applySettings(settings) {
+      playerController.applySettings(settings);
+    },
+
+    // Graphics preset (see graphics.js), applied live
+    applyGraphics(preset) {
+      applyGraphics(preset);
+    },
+
     // Interaction attempt (Enter / A button)
     tryInteract() {
       return interactions.tryInteract();
@@ -303,11 +409,70 @@ export async function create(chapter, renderer) {
       return playerAnchor.position;
     },
 
+    // Named scene objects (camera tracking, bubble/reaction targets)
+    getObject(name) {
+      return namedObjects.get(name);
+    },
+
+    // Bubble/reaction anchor height for a named object
+    getHeadOffset(name) {
+      return namedObjects.getHeadOffset(name);
+    },
+
     // Phase switching (called by SceneSwapBeat)
     setPhase(phase) {
       setPhase(phase);
     },
 
+    // Checkpoint snapshot (called by SequenceRunner.createCheckpoint)
+    serializeState() {
+      const cam = activeSubScene.camera;
+      return {
+        phase: currentPhase,
+        player: {
+          x: playerAnchor.position.x,
+          y: playerAnchor.position.y,
+          z: playerAnchor.position.z,
+          rotationY: playerAnchor.rotation.y,
+        },
+        yaw: playerController.yaw,
+        pitch: playerController.pitch,
+        camera: {
+          position: cam.position.toArray(),
+          quaternion: cam.quaternion.toArray(),
+        },
+        animation: playerController.currentAnimationName
+          ? { name: playerController.currentAnimationName, loop: playerController.currentAnimationLoop }
+          : null,
+      };
+    },
+
+    // Restore a checkpoint snapshot (called by SequenceRunner.resume)
+    restoreState(state) {
+      if (!PHASES[state.phase]) return;
+      setPhase(state.phase);
+
+      if (state.player) {
+        playerAnchor.position.set(state.player.x, state.player.y, state.player.z);
+        playerAnchor.rotation.y = state.player.rotationY;
+        playerController.currentGroundY = state.player.y;
+      }
+      if (typeof state.yaw === "number") playerController.yaw = state.yaw;
+      if (typeof state.pitch === "number") playerController.pitch = state.pitch;
+
+      if (state.camera) {
+        activeSubScene.camera.position.fromArray(state.camera.position);
+        activeSubScene.camera.quaternion.fromArray(state.camera.quaternion);
+      }
+
+      if (state.animation && playerController.animations[state.animation.name]) {
+        playerController.playAnimation(state.animation.name, {
+          fadeDuration: 0,
+          loop: state.animation.loop,
+        });
+      }
+    },
+
     // Interaction management (called by InteractionBeat)
     enableInteraction(targetId, promptText, onComplete) {
       const point = INTERACTION_POINTS[targetId];
@@ -437,6 +602,7 @@ export async function create(chapter, renderer) {
 
       phoneBuzz(ctx) {
         if (office.phoneMesh) {
+          audio.play("phone_buzz", { object: office.phoneMesh, refDistance: 2 });
           office.phoneMesh.material = new THREE.MeshStandardMaterial({
             color: 0x1a1a1a,
             emissive: 0x224488,
@@ -455,6 +621,15 @@ export async function create(chapter, renderer) {
       },
     },
 
+    // Run when the player skips past a callback whose animation is still playing
+    skipCallbacks: {
+      trainArrive(ctx) {
+        if (subway.finishTrainArrival) {
+          subway.finishTrainArrival();
+        }
+      },
+    },
+
     // Cleanup
     cleanup() {
       computerScreen.dispose();
@@ -464,6 +639,8 @@ export async function create(chapter, renderer) {
       city.dispose();
       office.dispose();
       pp.dispose();
+      namedObjects.clear();
+      stopTrainAudio();
       // Clean up mini phone notification
       const miniPhone = document.getElementById("mini-phone-notification");
       if (miniPhone) miniPhone.classList.add("hidden");
@@ -46,7 +46,7 @@ export function buildCityScene(cityGltf, peopleGltf, options = {}) {
   let npcSystem = null;
   if (peopleGltf) {
     npcSystem = new GLBNPCSystem(scene, peopleGltf, {
-      count: 40,
+      count: options.npcCount ?? 40,
       bounds: { minZ: -5, maxZ: 125 },
       walkableXRanges: [
         [-12, -8],
@@ -15,6 +15,7 @@ export class InteractionSystem {
   _createPromptElement() {
     this.promptEl = document.getElementById("interaction-prompt");
     this.promptTextEl = document.getElementById("prompt-text");
+    this.promptKeyEl = this.promptEl ? this.promptEl.querySelector(".prompt-key") : null;
   }
 
   addTrigger({ id, position, radius = 2.0, promptText, onInteract }) {
@@ -59,6 +60,8 @@ export class InteractionSystem {
   _updatePrompt() {
     if (!this.promptEl) return;
     if (this.activeTrigger) {
+      // A key_prompt beat may have left the B glyph showing
+      if (this.promptKeyEl) this.promptKeyEl.dataset.glyph = "primary";
       if (this.promptTextEl) {
         this.promptTextEl.textContent = this.activeTrigger.promptText;
       }
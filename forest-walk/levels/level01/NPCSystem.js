@@ -187,6 +187,15 @@ export class GLBNPCSystem {
     } else {
       this._extractAndPlaceNPCs(peopleGltf);
     }
+    this.activeCount = this.npcs.length;
+  }
+
+  /** Show and animate only the first `count` NPCs (graphics presets) */
+  setActiveCount(count) {
+    this.activeCount = Math.min(count, this.npcs.length);
+    this.npcs.forEach((npc, i) => {
+      npc.group.visible = i < this.activeCount;
+    });
   }
 
   _placeFromIndividualGLTFs(gltfs) {
@@ -318,9 +327,10 @@ export class GLBNPCSystem {
     const direction = index % 2 === 0 ? 1 : -1;
 
     // Create animation mixer if walk clip is available and NPC is moving
+    let mixer = null;
     if (this.walkClip && !isStationary) {
       try {
-        const mixer = new THREE.AnimationMixer(npcModel);
+        mixer = new THREE.AnimationMixer(npcModel);
         const action = mixer.clipAction(this.walkClip);
         action.setLoop(THREE.LoopRepeat);
         action.timeScale = 0.8 + Math.random() * 0.4;
@@ -328,11 +338,13 @@ export class GLBNPCSystem {
         this.mixers.push(mixer);
       } catch (e) {
         // Animation binding may fail if bone names don't match — that's OK
+        mixer = null;
       }
     }
 
     this.npcs.push({
       group: npcGroup,
+      mixer,
       speed: isStationary ? 0 : 1.5 + Math.random() * 2.5,
       direction,
       isStationary,
@@ -402,7 +414,10 @@ export class GLBNPCSystem {
   }
 
   update(dt) {
-    for (const npc of this.npcs) {
+    for (let i = 0; i < this.activeCount; i++) {
+      const npc = this.npcs[i];
+      // Tick the GLB walk animation, if this NPC has one
+      if (npc.mixer) npc.mixer.update(dt);
       if (npc.isStationary) continue;
 
       npc.group.position.z += npc.speed * npc.direction * dt;
@@ -438,10 +453,6 @@ export class GLBNPCSystem {
       }
     }
 
-    // Tick all animation mixers for GLB NPCs
-    for (const mixer of this.mixers) {
-      mixer.update(dt);
-    }
   }
 
   dispose() {
@@ -36,7 +36,7 @@ export function buildOfficeScene(options = {}) {
   const furniture = createFurniture(scene);
   createOtherDesks(scene);
   const plantColliders = createDecor(scene);
-  createNPCWorkers(scene, options.npcTemplate);
+  const coworkers = createNPCWorkers(scene, options.npcTemplate);
   const { sunLight } = createLighting(scene);
 
   return {
@@ -50,6 +50,7 @@ export function buildOfficeScene(options = {}) {
     // Monitor mesh reference for overlay positioning
     monitorScreen: furniture.monitorScreen,
     phoneMesh: furniture.phone,
+    coworkers,
 
     update(dt) {
       // Could animate monitor glow, etc.
@@ -582,7 +583,7 @@ function createNPCWorkers(scene, npcTemplate) {
     { x: 4, z: -0.3, seated: true },
   ];
 
-  npcConfigs.forEach(cfg => {
+  return npcConfigs.map(cfg => {
     let npc;
     if (npcTemplate) {
       npc = npcTemplate.clone();
@@ -606,6 +607,7 @@ function createNPCWorkers(scene, npcTemplate) {
     // Face the desk (toward +Z)
     npc.rotation.y = 0;
     scene.add(npc);
+    return npc;
   });
 }
 
@@ -66,6 +66,20 @@ export function buildSubwayScene(subwayGltf) {
   const exitStart = new THREE.Vector3();
   const exitEnd = new THREE.Vector3(3, 0.8, 2); // Platform position
 
+  // Reparent the riding character from train to scene for the exit walk
+  function releaseCharacter() {
+    if (exitingCharacter !== null || !characterInTrain) return;
+    // Get world position before reparenting
+    const worldPos = new THREE.Vector3();
+    characterInTrain.getWorldPosition(worldPos);
+    trainGroup.remove(characterInTrain);
+    scene.add(characterInTrain);
+    characterInTrain.position.copy(worldPos);
+    exitStart.copy(worldPos);
+    exitingCharacter = characterInTrain;
+    characterInTrain = null;
+  }
+
   return {
     scene,
     camera,
@@ -91,6 +105,29 @@ export function buildSubwayScene(subwayGltf) {
       }
     },
 
+    /** Jump an arrival in progress to its end: stopped, doors open, character on the platform */
+    finishTrainArrival() {
+      if (trainState === TRAIN_STATES.WAITING || trainState === TRAIN_STATES.DONE) return;
+
+      trainGroup.position.z = TRAIN_STOP_Z;
+      trainSpeed = 0;
+      for (const pair of platformDoors) {
+        pair.left.position.z = pair.closedLeftZ - 0.75;
+        pair.right.position.z = pair.closedRightZ + 0.75;
+      }
+      camera.position.y = baseCamY;
+      camera.rotation.z = 0;
+
+      releaseCharacter();
+      if (exitingCharacter) {
+        exitingCharacter.position.copy(exitEnd);
+        exitingCharacter.rotation.y = -Math.PI / 2;
+      }
+
+      trainState = TRAIN_STATES.DONE;
+      stateTimer = 0;
+    },
+
     getTrainState() {
       return trainState;
     },
@@ -168,19 +205,7 @@ export function buildSubwayScene(subwayGltf) {
           if (stateTimer > 1.5) {
             trainState = TRAIN_STATES.CHARACTER_EXIT;
             stateTimer = 0;
-
-            // Reparent character from train to scene for exit walk
-            if (exitingCharacter === null && characterInTrain) {
-              // Get world position before reparenting
-              const worldPos = new THREE.Vector3();
-              characterInTrain.getWorldPosition(worldPos);
-              trainGroup.remove(characterInTrain);
-              scene.add(characterInTrain);
-              characterInTrain.position.copy(worldPos);
-              exitStart.copy(worldPos);
-              exitingCharacter = characterInTrain;
-              characterInTrain = null;
-            }
+            releaseCharacter();
           }
           break;
         }
@@ -67,60 +67,183 @@ export function worldToScreen(position, camera) {
   };
 }
 
+// ========================================
+// NAMED OBJECTS
+// ========================================
+
+/**
+ * Registry of scene objects that sequence beats can target by name
+ * (camera tracking, text bubbles, reactions). headOffset is the height
+ * above the object's origin where bubbles and reactions anchor.
+ */
+export function createObjectRegistry() {
+  const entries = new Map();
+
+  return {
+    register(name, object, { headOffset = 2.0 } = {}) {
+      if (!object) {
+        console.warn(`Named object "${name}" is missing, not registered`);
+        return;
+      }
+      entries.set(name, { object, headOffset });
+    },
+
+    get(name) {
+      return entries.get(name)?.object || null;
+    },
+
+    getHeadOffset(name) {
+      return entries.get(name)?.headOffset ?? null;
+    },
+
+    clear() {
+      entries.clear();
+    },
+  };
+}
+
 // ========================================
 // POSTPROCESSING SETUP
 // ========================================
 
 import {
+  Effect,
   EffectComposer,
   EffectPass,
   RenderPass,
   BloomEffect,
-  ToneMappingEffect,
   VignetteEffect,
   SMAAEffect,
   SMAAPreset,
+  ToneMappingEffect,
+  ToneMappingMode,
 } from "postprocessing";
 
+// SMAA quality names used by graphics presets
+const SMAA_PRESETS = {
+  low: SMAAPreset.LOW,
+  medium: SMAAPreset.MEDIUM,
+  high: SMAAPreset.HIGH,
+  ultra: SMAAPreset.ULTRA,
+};
+
+/** Scales scene colour before the other effects (photo mode's exposure slider) */
+class ExposureEffect extends Effect {
+  constructor(exposure = 1) {
+    super(
+      "ExposureEffect",
+      `uniform float exposure;
+      void mainImage(const in vec4 inputColor, const in vec2 uv, out vec4 outputColor) {
+        outputColor = vec4(inputColor.rgb * exposure, inputColor.a);
+      }`,
+      { uniforms: new Map([["exposure", new THREE.Uniform(exposure)]]) }
+    );
+  }
+
+  get exposure() { return this.uniforms.get("exposure").value; }
+  set exposure(value) { this.uniforms.get("exposure").value = value; }
+}
+
 /**
  * Create a postprocessing pipeline for a level scene.
- * Returns { composer, bloom, vignette, updateScene(scene, camera) }
+ * `effects` picks the passes ({ bloom, vignette, smaa }) — see
+ * GRAPHICS_PRESETS in graphics.js; setEffects() swaps them later.
+ * Optional `exposure: true` adds an exposure multiplier, and
+ * `toneMapping: true` applies the renderer's ACES curve, which is
+ * otherwise skipped when rendering through a composer (the hub needs
+ * it to look the same as its direct render).
+ * Returns { composer, bloom, vignette, exposure, render(), updateScene(scene, camera), setEffects(effects) }
  */
-export function createPostprocessing(renderer, scene, camera) {
+export function createPostprocessing(renderer, scene, camera, effects = { bloom: true, vignette: true, smaa: "medium" }) {
   const composer = new EffectComposer(renderer);
 
   const renderPass = new RenderPass(scene, camera);
   composer.addPass(renderPass);
 
-  const bloom = new BloomEffect({
-    intensity: 0.4,
-    luminanceThreshold: 0.75,
-    luminanceSmoothing: 0.15,
-    mipmapBlur: true,
-  });
+  let effectPass = null;
+  let bloom = null;
+  let vignette = null;
+  let exposure = null;
 
-  const vignette = new VignetteEffect({
-    offset: 0.3,
-    darkness: 0.5,
-  });
+  /** Rebuild the effect pass with only the enabled effects */
+  function setEffects({
+    bloom: useBloom,
+    vignette: useVignette,
+    smaa: smaaQuality,
+    exposure: useExposure = false,
+    toneMapping: useToneMapping = false,
+  }) {
+    if (effectPass) {
+      composer.removePass(effectPass);
+      effectPass.dispose(); // also disposes its effects
+      effectPass = null;
+    }
 
-  const toneMapping = new ToneMappingEffect({
-    mode: THREE.ACESFilmicToneMapping,
-  });
+    bloom = useBloom
+      ? new BloomEffect({
+          intensity: 0.4,
+          luminanceThreshold: 0.75,
+          luminanceSmoothing: 0.15,
+          mipmapBlur: true,
+        })
+      : null;
+
+    vignette = useVignette
+      ? new VignetteEffect({
+          offset: 0.3,
+          darkness: 0.5,
+        })
+      : null;
+
+    const smaa = smaaQuality
+      ? new SMAAEffect({ preset: SMAA_PRESETS[smaaQuality] ?? SMAAPreset.MEDIUM })
+      : null;
+
+    exposure = useExposure ? new ExposureEffect() : null;
+    const toneMapping = useToneMapping
+      ? new ToneMappingEffect({ mode: ToneMappingMode.ACES_FILMIC })
+      : null;
 
-  const smaa = new SMAAEffect({ preset: SMAAPreset.MEDIUM });
+    // With no effects the render pass draws straight to the screen.
+    // Exposure and bloom work on scene colour, so they go before the curve.
+    const enabled = [exposure, bloom, toneMapping, vignette, smaa].filter(Boolean);
+    if (enabled.length > 0) {
+      effectPass = new EffectPass(renderPass.mainCamera, ...enabled);
+      composer.addPass(effectPass);
+    }
+  }
 
-  composer.addPass(new EffectPass(camera, bloom, vignette, smaa));
+  setEffects(effects);
 
   return {
     composer,
-    bloom,
-    vignette,
+    get bloom() { return bloom; },
+    get vignette() { return vignette; },
+    get exposure() { return exposure; },
+    setEffects,
+
+    /**
+     * Draw a frame. Composed frames skip the renderer's tone mapping
+     * (only the toneMapping effect applies a curve), but a bare render
+     * pass draws straight to the screen and would pick it up — turn it
+     * off for that draw so Low looks like the other presets.
+     */
+    render(deltaTime) {
+      if (effectPass) {
+        composer.render(deltaTime);
+        return;
+      }
+      const toneMapping = renderer.toneMapping;
+      renderer.toneMapping = THREE.NoToneMapping;
+      composer.render(deltaTime);
+      renderer.toneMapping = toneMapping;
+    },
 
     /** Swap scene and camera (used when transitioning sub-scenes) */
     updateScene(newScene, newCamera) {
       renderPass.mainScene = newScene;
       renderPass.mainCamera = newCamera;
+      if (effectPass) effectPass.mainCamera = newCamera;
     },
 
     /** Resize handler */
@@ -0,0 +1,143 @@
+// ========================================
+// ENGLISH — UI strings (fallback for every locale)
+// ========================================
+// Chapter content is not repeated here; chapters.js is the English
+// source for "ch<id>.*" keys. Speaker names, sound and reaction caption
+// cues fall back to the names in the data, so only other locales need
+// "speaker.*", "sound.*" and "reaction.*" entries.
+
+export default {
+  // Welcome screen
+  "welcome.title": "Our Story",
+  "welcome.tagline": "Walk the hallway. Open the doors. Make the right choices. This is how we met.",
+  "welcome.continue": "Continue",
+  "welcome.begin": "Begin",
+  "welcome.newGame": "New Game",
+
+  // Save slots
+  "save.slot": "Slot {n}",
+  "save.slotEmpty": "Empty",
+  "save.slotProgress": "{n} / {total} chapters",
+  "save.export": "Export Save",
+  "save.import": "Import Save",
+  "save.confirmNew": "Start a new story? The progress saved in this slot will be overwritten.",
+  "save.confirmImport": "Replace the progress saved in this slot?",
+  "save.importFailed": "That file doesn't look like a saved story.",
+
+  // Captions
+  "captions.toggle": "Captions: {state}",
+  "captions.on": "On",
+  "captions.off": "Off",
+  "captions.backlogHint": "to close",
+
+  // Pause menu / settings
+  "pause.title": "Paused",
+  "pause.resume": "Resume",
+  "pause.hallway": "Return to Hallway",
+  "pause.settings": "Settings",
+  "settings.mouseSensitivity": "Mouse sensitivity",
+  "settings.stickSensitivity": "Stick sensitivity",
+  "settings.invertY": "Invert Y",
+  "settings.pointerLock": "Lock mouse on click",
+  "settings.fov": "Field of view",
+  "settings.musicVolume": "Music volume",
+  "settings.sfxVolume": "Effects volume",
+  "settings.voiceVolume": "Voice volume",
+  "settings.graphicsQuality": "Graphics",
+  "settings.graphicsAuto": "Auto ({level})",
+  "settings.graphics.low": "Low",
+  "settings.graphics.medium": "Medium",
+  "settings.graphics.high": "High",
+  "settings.graphics.ultra": "Ultra",
+  "settings.reset": "Reset Settings",
+
+  // Controls (rebinding)
+  "controls.open": "Controls",
+  "controls.title": "Controls",
+  "controls.keyboard": "Keyboard",
+  "controls.gamepad": "Gamepad",
+  "controls.press": "Press…",
+  "controls.unbound": "—",
+  "controls.reset": "Reset to Defaults",
+  "controls.close": "Done",
+  "action.moveForward": "Move forward",
+  "action.moveBack": "Move back",
+  "action.moveLeft": "Move left",
+  "action.moveRight": "Move right",
+  "action.interact": "Interact",
+  "action.jump": "Jump",
+  "action.confirm": "Confirm",
+  "action.back": "Back / Skip",
+  "action.up": "Menu up",
+  "action.down": "Menu down",
+  "action.left": "Menu left",
+  "action.right": "Menu right",
+  "action.menu": "Pause",
+  "action.captions": "Captions",
+  "action.backlog": "Caption backlog",
+  "action.photo": "Photo mode",
+  "action.photoFrame": "Photo frame",
+
+  // Photo mode
+  "photo.exposure": "Exposure",
+  "photo.vignette": "Vignette",
+  "photo.bloom": "Bloom",
+  "photo.frame": "Frame: {name}",
+  "photo.frame.none": "None",
+  "photo.frame.polaroid": "Polaroid",
+  "photo.frame.cinema": "Cinema",
+  "photo.frame.hotel": "Hotel",
+  "photo.capture": "Take Photo",
+  "photo.gallery": "Gallery",
+  "photo.exit": "Exit",
+  "photo.saved": "Saved to gallery",
+  "photo.saveFailed": "Couldn't save the photo",
+  "photo.hintKeyboard": "{moveForward}{moveLeft}{moveBack}{moveRight} fly • Drag to look • Wheel to zoom • {interact} take photo • {photoFrame} frame • {back} exit",
+  "photo.hintGamepad": "Left Stick: fly • Right Stick: look • {confirm}: take photo • {photoFrame}: frame • {back}: exit",
+  "photo.hintTouch": "Left thumb: fly • Drag right side: look • {confirm}: take photo • {back}: exit",
+  "photo.galleryTitle": "Photo Gallery",
+  "photo.galleryEmpty": "No photos yet. Take one in photo mode!",
+  "photo.placeHallway": "The Hallway",
+  "photo.download": "Download",
+  "photo.delete": "Delete",
+  "photo.confirmDelete": "Delete this photo?",
+
+  // Story panel / choices
+  "panel.count": "{n} of {total}",
+  "panel.makeChoice": "Make Your Choice",
+  "result.wrongTitle": "That's not how it happened...",
+  "result.retry": "Try Again",
+  "result.continue": "Continue",
+
+  // HUD
+  "hud.hintStart": "Walk towards the glowing marker ahead",
+  "hud.hintDoor": "Walk towards the glowing door — {title}",
+  "hud.doorLocked": "This door is still locked — {title} comes first",
+  "hud.progress": "{n} / {total}",
+  "hud.controlsKeyboard": "{moveForward}{moveLeft}{moveBack}{moveRight} to move • Mouse to look • {jump} to jump • {interact} to interact • {captions} captions • {backlog} backlog • {photo} photo • {menu} pause",
+  "hud.controlsGamepad": "Left Stick: move • Right Stick: look • {confirm}: interact • {jump}: jump • {backlog}: backlog • {photo}: photo • {menu}: pause",
+  "hud.controlsTouch": "Left thumb: move • Drag right side: look • {confirm}: interact • {photo}: photo",
+  "prompt.interact": "Interact",
+  "prompt.press": "Press {key}",
+  "door.number": "Door {n}",
+  "door.locked": "Locked",
+  "door.current": "Next chapter",
+  "door.visited": "Memory",
+  "door.enter": "Enter",
+  "door.replay": "Relive this memory",
+  "skip.hold": "Hold to skip",
+  "phone.newNotification": "New Notification",
+
+  // Finale
+  "finale.title": "Happy Valentine's Day",
+  "finale.message": "From the moment you requested to follow me, to 12 hours at 1000 Faces — every chapter led me to you. Every choice I made was because of you.",
+  "finale.replay": "Replay Our Story",
+  "recap.title": "Our Story, Chapter by Chapter",
+  "recap.summary": "{time} together • {attempts} choices made",
+  "recap.minutes": "{m} min",
+  "recap.hours": "{h} h {m} min",
+  "recap.firstTry": "Got it on the first try",
+  "recap.attempts": "Took {n} tries",
+  "recap.saveImage": "Save as Image",
+  "recap.print": "Print",
+};
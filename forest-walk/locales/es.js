@@ -0,0 +1,360 @@
+// ========================================
+// ESPAÑOL — UI strings + chapter content
+// ========================================
+// Missing keys fall back to English (locales/en.js / chapters.js).
+
+export default {
+  // Welcome screen
+  "welcome.title": "Nuestra Historia",
+  "welcome.tagline": "Recorre el pasillo. Abre las puertas. Toma las decisiones correctas. Así nos conocimos.",
+  "welcome.continue": "Continuar",
+  "welcome.begin": "Comenzar",
+  "welcome.newGame": "Nueva partida",
+
+  // Save slots
+  "save.slot": "Ranura {n}",
+  "save.slotEmpty": "Vacía",
+  "save.slotProgress": "{n} / {total} capítulos",
+  "save.export": "Exportar partida",
+  "save.import": "Importar partida",
+  "save.confirmNew": "¿Empezar una historia nueva? Se sobrescribirá el progreso guardado en esta ranura.",
+  "save.confirmImport": "¿Reemplazar el progreso guardado en esta ranura?",
+  "save.importFailed": "Ese archivo no parece una partida guardada.",
+
+  // Captions
+  "captions.toggle": "Subtítulos: {state}",
+  "captions.on": "Sí",
+  "captions.off": "No",
+  "captions.backlogHint": "para cerrar",
+
+  // Pausa / ajustes
+  "pause.title": "Pausa",
+  "pause.resume": "Continuar",
+  "pause.hallway": "Volver al pasillo",
+  "pause.settings": "Ajustes",
+  "settings.mouseSensitivity": "Sensibilidad del ratón",
+  "settings.stickSensitivity": "Sensibilidad del stick",
+  "settings.invertY": "Invertir eje Y",
+  "settings.pointerLock": "Capturar el ratón al hacer clic",
+  "settings.fov": "Campo de visión",
+  "settings.musicVolume": "Volumen de la música",
+  "settings.sfxVolume": "Volumen de efectos",
+  "settings.voiceVolume": "Volumen de voces",
+  "settings.graphicsQuality": "Gráficos",
+  "settings.graphicsAuto": "Automático ({level})",
+  "settings.graphics.low": "Bajos",
+  "settings.graphics.medium": "Medios",
+  "settings.graphics.high": "Altos",
+  "settings.graphics.ultra": "Ultra",
+  "settings.reset": "Restablecer ajustes",
+
+  // Controles
+  "controls.open": "Controles",
+  "controls.title": "Controles",
+  "controls.keyboard": "Teclado",
+  "controls.gamepad": "Mando",
+  "controls.press": "Pulsa…",
+  "controls.unbound": "—",
+  "controls.reset": "Restablecer",
+  "controls.close": "Listo",
+  "action.moveForward": "Avanzar",
+  "action.moveBack": "Retroceder",
+  "action.moveLeft": "Izquierda",
+  "action.moveRight": "Derecha",
+  "action.interact": "Interactuar",
+  "action.jump": "Saltar",
+  "action.confirm": "Confirmar",
+  "action.back": "Atrás / Saltar escena",
+  "action.up": "Menú arriba",
+  "action.down": "Menú abajo",
+  "action.left": "Menú izquierda",
+  "action.right": "Menú derecha",
+  "action.menu": "Pausa",
+  "action.captions": "Subtítulos",
+  "action.backlog": "Historial de subtítulos",
+  "action.photo": "Modo foto",
+  "action.photoFrame": "Marco de foto",
+
+  // Photo mode
+  "photo.exposure": "Exposición",
+  "photo.vignette": "Viñeta",
+  "photo.bloom": "Resplandor",
+  "photo.frame": "Marco: {name}",
+  "photo.frame.none": "Ninguno",
+  "photo.frame.polaroid": "Polaroid",
+  "photo.frame.cinema": "Cine",
+  "photo.frame.hotel": "Hotel",
+  "photo.capture": "Tomar foto",
+  "photo.gallery": "Galería",
+  "photo.exit": "Salir",
+  "photo.saved": "Guardada en la galería",
+  "photo.saveFailed": "No se pudo guardar la foto",
+  "photo.hintKeyboard": "{moveForward}{moveLeft}{moveBack}{moveRight} volar • Arrastra para mirar • Rueda para acercar • {interact} tomar foto • {photoFrame} marco • {back} salir",
+  "photo.hintGamepad": "Stick izquierdo: volar • Stick derecho: mirar • {confirm}: tomar foto • {photoFrame}: marco • {back}: salir",
+  "photo.hintTouch": "Pulgar izquierdo: volar • Arrastra a la derecha: mirar • {confirm}: tomar foto • {back}: salir",
+  "photo.galleryTitle": "Galería de fotos",
+  "photo.galleryEmpty": "Aún no hay fotos. ¡Toma una en el modo foto!",
+  "photo.placeHallway": "El pasillo",
+  "photo.download": "Descargar",
+  "photo.delete": "Borrar",
+  "photo.confirmDelete": "¿Borrar esta foto?",
+
+  // Story panel / choices
+  "panel.count": "{n} de {total}",
+  "panel.makeChoice": "Toma tu decisión",
+  "result.wrongTitle": "Así no fue como pasó...",
+  "result.retry": "Intentar de nuevo",
+  "result.continue": "Continuar",
+
+  // HUD
+  "hud.hintStart": "Camina hacia el marcador brillante",
+  "hud.hintDoor": "Camina hacia la puerta brillante — {title}",
+  "hud.doorLocked": "Esta puerta sigue cerrada — primero {title}",
+  "hud.progress": "{n} / {total}",
+  "hud.controlsKeyboard": "{moveForward}{moveLeft}{moveBack}{moveRight} para moverte • Ratón para mirar • {jump} para saltar • {interact} para interactuar • {captions} subtítulos • {backlog} historial • {photo} foto • {menu} pausa",
+  "hud.controlsGamepad": "Stick izquierdo: moverte • Stick derecho: mirar • {confirm}: interactuar • {jump}: saltar • {backlog}: historial • {photo}: foto • {menu}: pausa",
+  "hud.controlsTouch": "Pulgar izquierdo: moverte • Arrastra a la derecha: mirar • {confirm}: interactuar • {photo}: foto",
+  "prompt.interact": "Interactuar",
+  "prompt.press": "Pulsa {key}",
+  "door.number": "Puerta {n}",
+  "door.locked": "Cerrada",
+  "door.current": "Siguiente capítulo",
+  "door.visited": "Recuerdo",
+  "door.enter": "Entrar",
+  "door.replay": "Revivir este recuerdo",
+  "skip.hold": "Mantén para saltar",
+  "phone.newNotification": "Nueva notificación",
+
+  // Finale
+  "finale.title": "Feliz Día de San Valentín",
+  "finale.message": "Desde el momento en que me pediste seguirme, hasta 12 horas en 1000 Faces — cada capítulo me llevó a ti. Cada decisión que tomé fue por ti.",
+  "finale.replay": "Volver a vivir nuestra historia",
+  "recap.title": "Nuestra historia, capítulo a capítulo",
+  "recap.summary": "{time} juntos • {attempts} decisiones tomadas",
+  "recap.minutes": "{m} min",
+  "recap.hours": "{h} h {m} min",
+  "recap.firstTry": "A la primera",
+  "recap.attempts": "{n} intentos",
+  "recap.saveImage": "Guardar como imagen",
+  "recap.print": "Imprimir",
+
+  // Shared story strings
+  "speaker.Coworker": "Compañero de trabajo",
+  "sound.train_rumble": "el tren retumba",
+  "sound.train_brakes": "frenos del tren",
+  "sound.train_doors": "las puertas se abren",
+  "sound.phone_buzz": "el teléfono vibra",
+  "sound.notification_chime": "sonido de notificación",
+  "sound.door_open": "la puerta cruje al abrirse",
+  "sound.door_locked": "la puerta cerrada traquetea",
+  "reaction.surprise": "sorprendido",
+  "reaction.heart": "el corazón late fuerte",
+  "reaction.music": "tarareando",
+  "reaction.question": "confundido",
+  "reaction.laugh": "se ríe",
+  "reaction.sweat": "nervioso",
+  "reaction.sparkle": "encantado",
+  "reaction.zzz": "aburrido",
+
+  // ========================================
+  // CHAPTER 1 — The Follow Request
+  // ========================================
+  "ch1.title": "La solicitud de seguimiento",
+  "ch1.doorLabel": "Apartamento en NYC",
+  "ch1.storyText": "Era un día normal durante mi pasantía en Nueva York cuando mi teléfono vibró. valerie.rengifo había solicitado seguirme. Me quedé en shock — le hice captura a la notificación y se la mandé directo a mi buena amiga Skylar. Algo se sentía diferente.",
+  "ch1.choicePrompt": "valerie.rengifo acaba de solicitar seguirte. ¿Qué haces?",
+  "ch1.choice0.text": "Hacer captura y mandársela a Skylar",
+  "ch1.choice0.response": "Le haces captura a la notificación y se la mandas directo a Skylar. Algo en esto se sentía diferente...",
+  "ch1.choice1.text": "Seguirla de vuelta de inmediato",
+  "ch1.choice1.response": "La sigues de vuelta al instante. Demasiado ansioso — ella lo nota y cambia la dinámica...",
+  "ch1.choice2.text": "Ignorar la solicitud por ahora",
+  "ch1.choice2.response": "La ignoras. Pasan los días y el momento se escapa...",
+  "ch1.choice3.text": "Escribirle por DM enseguida",
+  "ch1.choice3.response": "Demasiado directo. Te deja en visto. Así no va esta historia...",
+  "ch1.beat.city_intro": "NYC. Pasantía de verano. Un día más.",
+  "ch1.beat.office_greeting.0": "¡Buenos días! Tu revisión de código te espera en el escritorio.",
+  "ch1.beat.office_greeting.1": "Hora de trabajar.",
+  "ch1.beat.sit_down": "Sentarse",
+  "ch1.beat.start_working": "Empezar a trabajar",
+  "ch1.beat.code_review": "A terminar esta revisión de código...",
+  "ch1.beat.stop_working": "Dejar de trabajar",
+  "ch1.beat.check_phone": "Revisar el teléfono",
+  "ch1.beat.follow_notification": "valerie.rengifo empezó a seguirte.",
+  "ch1.beat.follow_back_bubble": "La seguí de vuelta en 0.2 segundos. Qué sutil.",
+  "ch1.beat.ignore_bubble": "Ya me encargo después...",
+  "ch1.beat.dm_seen_bubble": "Visto 2:14 PM",
+
+  // ========================================
+  // CHAPTER 2 — The Book Story
+  // ========================================
+  "ch2.title": "La historia del libro",
+  "ch2.storyText": "Cuatro días después, publiqué la foto de un libro en mi historia de Instagram. Le dio like. Para entonces ya sabía que le interesaba. Pero yo seguía en Nueva York, a cientos de millas — no había mucho que hacer más que esperar.",
+  "ch2.choicePrompt": "Le dio like a tu historia del libro en Instagram. ¿Cómo lo interpretas?",
+  "ch2.choice0.text": "Definitivamente le intereso",
+  "ch2.choice0.response": "Sabes lo que significa. Le interesas. Pero sigues en NYC — no puedes hacer nada más que esperar.",
+  "ch2.choice1.text": "Solo está siendo amable",
+  "ch2.choice1.response": "Lo descartas como nada. Pero te equivocas — era una señal...",
+  "ch2.choice2.text": "Escribirle por DM sobre el libro",
+  "ch2.choice2.response": "Le escribes sobre el libro. No funciona — todavía no es el momento...",
+  "ch2.choice3.text": "Publicar más historias para llamar su atención",
+  "ch2.choice3.response": "Empiezas a publicar sin parar. Se nota que lo intentas demasiado...",
+
+  // ========================================
+  // CHAPTER 3 — Magnolias
+  // ========================================
+  "ch3.storyText": "Terminó mi pasantía y volví a casa en Athens, Georgia. Esa noche fui a Magnolias — un bar al que suele ir AKPsi, su fraternidad profesional. Fui con la esperanza de verla. Y la vi. Hablamos, los dos un poco borrachos, y tuvimos una gran conversación sobre HSA. Fue corta, pero fue real.",
+  "ch3.choicePrompt": "Estás de vuelta en Athens. Es viernes por la noche. ¿A dónde vas?",
+  "ch3.choice0.text": "Magnolias — AKPsi va allí",
+  "ch3.choice0.response": "Vas a Magnolias con la esperanza de que ella esté. Y está. Hablan, los dos un poco borrachos, pero la conversación es real. Hablan de HSA. Es corta, pero lo es todo.",
+  "ch3.choice1.text": "Quedarte en casa a descansar",
+  "ch3.choice1.response": "Te quedas en casa. Pasa otra noche sin verla...",
+  "ch3.choice2.text": "Ir a otro bar del centro",
+  "ch3.choice2.response": "Vas a un bar cualquiera. Ella no está. La noche se siente vacía...",
+  "ch3.choice3.text": "Escribirle directamente para salir",
+  "ch3.choice3.response": "Le escribes de la nada. Es demasiado pronto — apenas se conocen...",
+
+  // ========================================
+  // CHAPTER 4 — Close Friends
+  // ========================================
+  "ch4.title": "Mejores amigos",
+  "ch4.doorLabel": "Lugar de la cena",
+  "ch4.storyText": "Al día siguiente publiqué una foto de mi cena en mi historia de mejores amigos. Le dio like. Estas pequeñas interacciones empezaban a sumar — cada una, una señal silenciosa de que quizá esto no era de un solo lado.",
+  "ch4.choicePrompt": "Acabas de cenar. ¿Qué publicas?",
+  "ch4.choice0.text": "Publicarlo en mejores amigos",
+  "ch4.choice0.response": "Publicas tu cena en mejores amigos. Le da like. Otra señal silenciosa. Estos pequeños momentos van sumando.",
+  "ch4.choice1.text": "Publicarlo en tu historia principal",
+  "ch4.choice1.response": "Lo publicas para todos. Lo ve, pero no reacciona — no es lo bastante personal...",
+  "ch4.choice2.text": "Mandárselo directamente",
+  "ch4.choice2.response": "Se lo mandas por DM. Es raro — todavía no se conocen así...",
+  "ch4.choice3.text": "No publicar nada",
+  "ch4.choice3.response": "Te lo guardas. Otra oportunidad de conectar se escapa...",
+
+  // ========================================
+  // CHAPTER 5 — The Reintroduction
+  // ========================================
+  "ch5.title": "La nueva presentación",
+  "ch5.doorLabel": "Salón de reuniones de HSA",
+  "ch5.storyText": "La Asociación de Estudiantes Hispanos tuvo su primera GBM del año — unas 200 personas llenaban el salón. La vi al otro lado de la multitud. Cuando el evento estaba terminando, crucé miradas con ella y la saludé para que viniera. Hice un chiste y me presenté de nuevo.",
+  "ch5.choicePrompt": "La GBM de HSA está terminando. Ves a Valerie hablando con sus amigas. ¿Qué haces?",
+  "ch5.choice0.text": "Llamarla con un chiste y presentarte de nuevo",
+  "ch5.choice0.response": "Cruzas miradas y la saludas para que venga. Haces un chiste y te presentas de nuevo. \"¿No nos conocíamos ya?\", dice sonriendo. Te disculpas y los dos se ríen.",
+  "ch5.choice1.text": "Esperar a que ella venga",
+  "ch5.choice1.response": "Esperas... y esperas. Nunca viene. El evento termina y todos se van...",
+  "ch5.choice2.text": "Escribirle después del evento",
+  "ch5.choice2.response": "Le escribes más tarde, pero el momento ya pasó. En persona era la jugada...",
+  "ch5.choice3.text": "Hacerte el indiferente y no acercarte",
+  "ch5.choice3.response": "Te haces demasiado el indiferente. Ella se va con sus amigas y te arrepientes...",
+  "ch5.quote": "\"¿No nos conocíamos ya?\", dijo sonriendo. Me disculpé y los dos nos reímos.",
+
+  // ========================================
+  // CHAPTER 6 — Three Hours by the Fire
+  // ========================================
+  "ch6.title": "Tres horas junto al fuego",
+  "ch6.doorLabel": "Casa de AKPsi",
+  "ch6.storyText": "Los dos estuvimos ocupados todo el semestre y nunca nos vimos — hasta que ALPHA y AKPsi organizaron su Fall Festival. La encontré junto a la fogata e hice el mismo chiste — me presenté otra vez. Lo que iba a ser un saludo rápido se convirtió en tres horas de conversación. El fuego crepitaba y el mundo se redujo a nosotros dos. Ella tenía que irse a la iglesia.",
+  "ch6.choicePrompt": "Ves a Valerie junto a la fogata del Fall Festival. Han pasado meses. ¿Qué haces?",
+  "ch6.choice0.text": "Repetir el chiste — presentarte otra vez",
+  "ch6.choice0.response": "Te acercas y haces el mismo chiste — te presentas otra vez. Ella se ríe. Lo que iba a ser un saludo rápido se convierte en tres horas junto al fuego. Ella tiene que irse a la iglesia.",
+  "ch6.choice1.text": "Algo casual — solo decir hola",
+  "ch6.choice1.response": "Un simple 'hola' no tiene el mismo efecto. La conversación se apaga rápido...",
+  "ch6.choice2.text": "Sentarte cerca sin decir nada",
+  "ch6.choice2.response": "Te sientas cerca pero no dices nada. El fuego crepita y la oportunidad se consume...",
+  "ch6.choice3.text": "Mencionar la reunión de HSA",
+  "ch6.choice3.response": "Mencionas HSA, pero no pega igual que tu chiste...",
+
+  // ========================================
+  // CHAPTER 7 — Get Your Head in the Game
+  // ========================================
+  "ch7.title": "Get Your Head in the Game",
+  "ch7.storyText": "Halloween. Vi su historia — estaba disfrazada de Troy Bolton de High School Musical. No me pude resistir. Le respondí citando la canción icónica.",
+  "ch7.choicePrompt": "Publicó una historia disfrazada de Troy Bolton de High School Musical. ¿Qué haces?",
+  "ch7.choice0.text": "Responder: \"Get your head in the game\"",
+  "ch7.choice0.response": "\"Get your head in the game\", escribes. Ella responde: \"exactlyy you get it.\" Ella entiende tu humor. Tú entiendes el suyo.",
+  "ch7.choice1.text": "Darle like a la historia y seguir",
+  "ch7.choice1.response": "Solo le das like. Sin personalidad, sin conexión. Ella olvida que le diste like...",
+  "ch7.choice2.text": "Responder con un cumplido genérico",
+  "ch7.choice2.response": "\"¡Qué buen disfraz!\" Aburrido. Te da las gracias por cortesía y ya...",
+  "ch7.choice3.text": "No responder",
+  "ch7.choice3.response": "Sigues deslizando. Otra conexión perdida...",
+  "ch7.quote": "\"Get your head in the game\", le dije.\n\"Exactlyy you get it\", respondió.",
+
+  // ========================================
+  // CHAPTER 8 — I Only Asked You
+  // ========================================
+  "ch8.title": "Solo te pregunté a ti",
+  "ch8.doorLabel": "Estadio de UGA",
+  "ch8.storyText": "Escuché que AKPsi iba a hacer un tailgate para el partido de UGA contra Texas. Le escribí por DM: \"¿AKPsi tiene tailgate este fin de semana?\" Me dijo que sí y me preguntó si pensaba ir. Le dije que tal vez — estaba tratando de ver si tú ibas.",
+  "ch8.choicePrompt": "Escuchas que AKPsi tiene un tailgate para el partido de UGA. ¿Cómo averiguas más?",
+  "ch8.choice0.text": "Escribirle: \"¿AKPsi tiene tailgate?\"",
+  "ch8.choice0.response": "Le escribes sobre el tailgate. Te pregunta si vas a ir. \"Tal vez — estaba tratando de ver si tú ibas.\" \"¿Skylar no va?\" \"Solo te pregunté a ti.\" Jugada atrevida.",
+  "ch8.choice1.text": "Preguntarle a Skylar por el tailgate",
+  "ch8.choice1.response": "Le preguntas a Skylar. Nunca llegas a conectar directamente con ella...",
+  "ch8.choice2.text": "Aparecer y esperar verla",
+  "ch8.choice2.response": "Apareces sin avisar. Ella no está — tenía un examen el lunes...",
+  "ch8.choice3.text": "No ir al tailgate",
+  "ch8.choice3.response": "No vas. Otra oportunidad perdida de hablar con ella...",
+  "ch8.quote": "\"¿Skylar no va?\", preguntó.\n\"Solo te pregunté a ti\", le dije.",
+
+  // ========================================
+  // CHAPTER 9 — Peak Feid
+  // ========================================
+  "ch9.doorLabel": "Rincón de la música",
+  "ch9.storyText": "Dos días después, publiqué una historia con una canción de uno de sus artistas colombianos favoritos — Feid. La canción era Chorritos Pa Las Animas. Me respondió de inmediato.",
+  "ch9.choicePrompt": "Respondió a tu historia de Feid diciendo \"peak feid\". ¿Qué le dices?",
+  "ch9.choice0.text": "\"You know ball... forgot you was Colombian\"",
+  "ch9.choice0.response": "\"You know ball\", respondes. \"I forgot you was Colombian.\" Suave. Natural. Ella se ríe.",
+  "ch9.choice1.text": "\"¡Gracias! Me encanta esa canción\"",
+  "ch9.choice1.response": "Una respuesta segura. La conversación muere ahí...",
+  "ch9.choice2.text": "\"¿Qué otras canciones de Feid te gustan?\"",
+  "ch9.choice2.response": "Te pones en modo experto en música. Te da una lista y la conversación se estanca...",
+  "ch9.choice3.text": "Reaccionar con un corazón y no responder",
+  "ch9.choice3.response": "Le das un corazón. Respuesta floja. Ella no sigue la conversación...",
+  "ch9.quote": "\"Peak Feid\", dijo.\n\"You know ball\", respondí. \"I forgot you was Colombian.\"",
+
+  // ========================================
+  // CHAPTER 10 — A Smile Across the Room
+  // ========================================
+  "ch10.title": "Una sonrisa al otro lado del salón",
+  "ch10.doorLabel": "Fiesta de Navidad",
+  "ch10.storyText": "Pasó el tiempo. La universidad nos obligó a los dos a concentrarnos. Entonces la fraternidad LUL hizo una fiesta de Navidad. Se suponía que yo estaría en Virginia visitando a mi hermanita, pero me enfermé y me quedé en Athens. Mi compañero de cuarto me obligó a salir. Llegamos dos horas tarde. Me pidieron que pusiera música y todo iba bien — hasta que vi una sonrisa atravesando el salón oscuro. Una blusa azul oscuro. Un hermoso cabello castaño. Era ella. Valerie. Detuve todo.",
+  "ch10.choicePrompt": "Estás poniendo música en la fiesta de Navidad. Entonces ves su sonrisa al otro lado del salón oscuro. ¿Qué haces?",
+  "ch10.choice0.text": "Dejar la música e ir directo hacia ella",
+  "ch10.choice0.response": "Detienes todo. Caminas hacia ella. Le tocas el hombro. Se da vuelta y hace TU chiste — \"¿Nos conocemos?\" Los dos se ríen. Le pides su número. Te dice que sí para el domingo.",
+  "ch10.choice1.text": "Seguir poniendo música y hablarle después",
+  "ch10.choice1.response": "Sigues con la música. Para cuando terminas, ella ya se fue...",
+  "ch10.choice2.text": "Saludarla desde la cabina del DJ",
+  "ch10.choice2.response": "La saludas torpemente desde detrás de la consola. Te devuelve el saludo y se da vuelta...",
+  "ch10.choice3.text": "Esperar a que ella venga",
+  "ch10.choice3.response": "Esperas. Nunca viene. La noche termina sin una palabra...",
+  "ch10.quote": "Le toqué el hombro. Se dio vuelta e hizo MI chiste — se presentó otra vez. \"¿Nos conocemos?\" Los dos nos reímos. Le pedí su número.",
+
+  // ========================================
+  // CHAPTER 11 — Cookout at 4 AM
+  // ========================================
+  "ch11.title": "Cookout a las 4 AM",
+  "ch11.storyText": "Esa misma noche me la encontré otra vez en el bar Tropical. No es broma — la distinguí entre toda la multitud por esa sonrisa. Me dijo que ya se iba, así que salí con ella y le pregunté si tenía hambre. Subimos a mi carro y fuimos a Cookout. Le dije que nunca había ido — mentí. Ella pidió por los dos.",
+  "ch11.choicePrompt": "La ves en el bar Tropical. Te dice que ya se va. ¿Qué haces?",
+  "ch11.choice0.text": "Salir con ella y preguntarle si tiene hambre",
+  "ch11.choice0.response": "Sales con ella. \"¿Tienes hambre?\" Manejan hasta Cookout. Dices que nunca has ido (mentira). Ella pide cuatro quesadillas de pollo. Hablan hasta las 4 AM.",
+  "ch11.choice1.text": "Despedirte e irte a casa",
+  "ch11.choice1.response": "Te despides. Ella se va. Pasas todo el camino a casa pensando qué habría pasado...",
+  "ch11.choice2.text": "Pedirle su número otra vez",
+  "ch11.choice2.response": "Ya tienes su número de antes. Pedirlo otra vez es incómodo...",
+  "ch11.choice3.text": "Quedarte en el bar con tus amigos",
+  "ch11.choice3.response": "La ves alejarse. Tus amigos se divierten, pero no puedes dejar de pensar en esa sonrisa...",
+  "ch11.quote": "Cuatro quesadillas de pollo. Hablamos hasta las 4 AM. La dejé en su casa y no pude dejar de sonreír todo el camino.",
+
+  // ========================================
+  // CHAPTER 12 — 12 Hours of Forever
+  // ========================================
+  "ch12.title": "12 horas de para siempre",
+  "ch12.storyText": "Ese domingo nos vimos en 1000 Faces Coffee Shop para nuestra primera cita. Lo que iba a ser un café se convirtió en 12 horas juntos. Doce. Horas. Hablamos de todo y de nada. Ni siquiera noté pasar el tiempo — simplemente voló. Ahí supe. Con ella, el tiempo no existe. Simplemente... desaparece.",
+  "ch12.choicePrompt": "Es domingo. ¿A dónde la llevas en su primera cita?",
+  "ch12.choice0.response": "1000 Faces. Lo que iba a ser un café se convierte en 12 horas juntos. Doce horas. Hablan de todo y de nada. Con ella el tiempo no existe. Simplemente desaparece.",
+  "ch12.choice1.text": "Una cena elegante en el centro",
+  "ch12.choice1.response": "Una cena elegante está bien, pero es demasiado formal. Esta no es tu historia...",
+  "ch12.choice2.text": "Una película",
+  "ch12.choice2.response": "Una película significa que no pueden hablar. Y con ella hablar lo es todo...",
+  "ch12.choice3.text": "Cookout otra vez",
+  "ch12.choice3.response": "Cookout fue especial a las 4 AM. ¿De día? No tiene la misma magia...",
+};
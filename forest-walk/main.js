@@ -1,21 +1,48 @@
 import * as THREE from "three";
 import { GLTFLoader } from "three/addons/loaders/GLTFLoader.js";
 import { chapters } from "./chapters.js";
-import { buildHallway, updateDoorMarkers, updateHallwayLights, HALLWAY_BOUNDS, DOOR_TRIGGER_RADIUS, getDoorPosition } from "./hub.js";
+import { buildHallway, updateDoorMarkers, flashLockedDoor, updateDoors, setDoorOpen, DOOR_SWING_TIME, updateHallwayLights, refreshDoorLabels, HALLWAY_BOUNDS, DOOR_TRIGGER_RADIUS, getDoorPosition, getHubPlayerConfig, getHallwayCameraBounds } from "./hub.js";
+import { PlayerController } from "./playerController.js";
+import { PointerLook } from "./pointerLook.js";
 import { SceneManager } from "./sceneManager.js";
 import { SequenceRunner } from "./sequenceRunner.js";
+import { registerReactions } from "./reactionSprites.js";
+import { audio } from "./audioManager.js";
+import { Captions } from "./captions.js";
+import { LOCALES, getLocale, setLocale, onLocaleChange, t, chapterText, localizeChapter, applyDomStrings } from "./i18n.js";
+import { SaveSystem } from "./saveSystem.js";
+import { createGameStateMachine } from "./gameState.js";
+import { InputActions, REBINDABLE_ACTIONS, codeDevice } from "./inputActions.js";
+import { TouchControls } from "./touchControls.js";
+import { InputGlyphs } from "./inputGlyphs.js";
+import { Settings, SETTING_DEFS } from "./settings.js";
+import { GraphicsQuality, applySceneQuality } from "./graphics.js";
+import { PhotoMode, PHOTO_EFFECTS } from "./photoMode.js";
+import { PhotoGallery } from "./photoGallery.js";
+import { buildRecap, renderRecapTimeline, downloadRecapImage } from "./finaleRecap.js";
+import { DoorCard } from "./doorCard.js";
 
 // ========================================
 // GAME STATE
 // ========================================
 
-let gameState = "welcome";
+const gameState = createGameStateMachine();
 let currentChapterIndex = 0;
 let visitedChapters = new Set();
 let elapsedTime = 0;
 let lastChoiceCorrect = false;
 let selectedChoiceIndex = 0;
-let gamepadConnected = false;
+let levelCheckpoint = null; // { chapterIndex, index, id, level } while mid-level
+let storyFromSequence = false; // story panel opened by a show_story beat
+let choiceFromSequence = false; // choice panel opened by a show_choice beat
+let pendingChoice = null; // choice waiting for the level sequence to finish its outro
+let storyFlags = {}; // narrative flags set by set_flag beats, tested by branch beats
+let chapterAttempts = {}; // chapter index → number of choices made
+let chapterChoices = {}; // chapter index → index of the choice picked last
+let playTime = 0; // seconds spent playing (not on the welcome, pause or finale screens)
+let memoryChapterIndex = null; // finished chapter being replayed from its door; progress is left alone
+let memoryAttempts = 0; // choices made during this replay, for branch beats
+let nearDoorIndex = null; // hallway door whose card is showing
 
 // ========================================
 // DOM REFERENCES
@@ -23,6 +50,19 @@ let gamepadConnected = false;
 
 const welcomeScreen = document.getElementById("welcome-screen");
 const playBtn = document.getElementById("play-btn");
+const playBtnLabel = document.getElementById("play-btn-label");
+const resumeBtn = document.getElementById("resume-btn");
+const saveSlotsEl = document.getElementById("save-slots");
+const exportSaveBtn = document.getElementById("export-save-btn");
+const importSaveBtn = document.getElementById("import-save-btn");
+const importSaveInput = document.getElementById("import-save-input");
+const captionsBtn = document.getElementById("captions-btn");
+const localeSwitcher = document.getElementById("locale-switcher");
+const controlsBtn = document.getElementById("controls-btn");
+const controlsPanel = document.getElementById("controls-panel");
+const controlsList = document.getElementById("controls-list");
+const controlsResetBtn = document.getElementById("controls-reset-btn");
+const controlsCloseBtn = document.getElementById("controls-close-btn");
 const storyPanel = document.getElementById("story-panel");
 const panelDate = document.getElementById("panel-date");
 const panelNumber = document.getElementById("panel-number");
@@ -36,6 +76,10 @@ const hudProgress = document.getElementById("hud-progress");
 const hudControls = document.querySelector(".hud-controls");
 const finaleScreen = document.getElementById("finale-screen");
 const replayBtn = document.getElementById("replay-btn");
+const recapSummary = document.getElementById("recap-summary");
+const recapTimeline = document.getElementById("recap-timeline");
+const recapImageBtn = document.getElementById("recap-image-btn");
+const recapPrintBtn = document.getElementById("recap-print-btn");
 const choicePanel = document.getElementById("choice-panel");
 const choicePrompt = document.getElementById("choice-prompt");
 const choiceOptions = document.getElementById("choice-options");
@@ -46,6 +90,9 @@ const rightChoiceOverlay = document.getElementById("right-choice-overlay");
 const rightChoiceText = document.getElementById("right-choice-text");
 const continueBtn = document.getElementById("continue-btn");
 const transitionOverlay = document.getElementById("transition-overlay");
+const skipIndicator = document.getElementById("skip-indicator");
+const dialogueBox = document.getElementById("dialogue-box");
+const skipProgressFill = document.getElementById("skip-progress-fill");
 
 // ========================================
 // THREE.JS RENDERER SETUP
@@ -56,20 +103,27 @@ const renderer = new THREE.WebGLRenderer({
   powerPreference: "high-performance",
 });
 renderer.setSize(window.innerWidth, window.innerHeight);
-renderer.setPixelRatio(Math.min(window.devicePixelRatio, 1.5));
 renderer.outputColorSpace = THREE.SRGBColorSpace;
 renderer.toneMapping = THREE.ACESFilmicToneMapping;
 renderer.toneMappingExposure = 1.1;
-renderer.shadowMap.enabled = true;
-renderer.shadowMap.type = THREE.PCFSoftShadowMap;
 document.body.appendChild(renderer.domElement);
 
+// Pixel ratio and shadow settings come from the graphics preset (see SETTINGS)
+const graphics = new GraphicsQuality(renderer);
+
 // ========================================
 // SCENE MANAGER
 // ========================================
 
 const sceneManager = new SceneManager(renderer);
 const sequenceRunner = new SequenceRunner();
+const saveSystem = new SaveSystem();
+const captions = new Captions();
+const photoMode = new PhotoMode(renderer, document.getElementById("photo-frame-overlay"));
+const photoGallery = new PhotoGallery();
+
+// Sounds with a caption (train brakes, phone buzz...) show up as cues
+audio.onCue = (text, id) => captions.cue(t(`sound.${id}`, null, text));
 
 // ========================================
 // HUB SCENE (Hotel Hallway)
@@ -93,12 +147,28 @@ const player = new THREE.Object3D();
 player.position.set(0, 0, 4);
 hubScene.add(player);
 
+// Hallway movement and camera — the same controller levels use, with the
+// hub's camera rig, colliders and door triggers from hub.js
+const hubController = new PlayerController({
+  ...getHubPlayerConfig(chapters),
+  player,
+  camera: hubCamera,
+  // Standing at a door shows its card and interact opens it (see HALLWAY
+  // DOORS); walking up to a locked one rattles it
+  onTriggerEnter: (trigger) => {
+    showDoorCard(trigger.chapterIndex);
+    if (doorState(trigger.chapterIndex) === "locked") showLockedDoor(trigger.chapterIndex);
+  },
+  onTriggerExit: (trigger) => {
+    if (trigger.chapterIndex === nearDoorIndex) hideDoorCard();
+  },
+});
+
 const gltfLoader = new GLTFLoader();
 let characterModel = null;
 let mixer = null;
 let walkAction = null;
 let sitAction = null;
-let isWalking = false;
 
 // Load character model (with walk animation) and sitting animation in parallel
 Promise.all([
@@ -119,6 +189,7 @@ Promise.all([
     walkAction = mixer.clipAction(walkClip);
     walkAction.setLoop(THREE.LoopRepeat);
     walkAction.timeScale = 1.2;
+    hubController.setWalkAction(walkAction);
   }
 
   // Sitting animation from Sitting.glb (skeleton-only export, no mesh)
@@ -145,18 +216,22 @@ sceneManager.setHub({
 // INPUT STATE
 // ========================================
 
-const keys = {};
-window.addEventListener("keydown", (e) => {
-  keys[e.code] = true;
-});
-window.addEventListener("keyup", (e) => {
-  keys[e.code] = false;
-});
+const input = new InputActions();
+input.attach(window);
+
+// Button prompts follow whichever device was used last
+const glyphs = new InputGlyphs(input);
+glyphs.start();
+
+window.addEventListener("keydown", () => audio.unlock());
+window.addEventListener("pointerdown", () => audio.unlock());
 
 const mouse = { dragging: false, lastX: 0, lastY: 0 };
 
 window.addEventListener("mousedown", (e) => {
-  if (e.button === 0 && (gameState === "hub" || gameState === "level_freeroam")) {
+  // Sliders and buttons on the photo toolbar, and the door card, aren't drags
+  if (e.target.closest(".photo-toolbar, #door-card")) return;
+  if (input.isBound(`Mouse${e.button}`, "look") && gameState.handles("look")) {
     mouse.dragging = true;
     mouse.lastX = e.clientX;
     mouse.lastY = e.clientY;
@@ -168,121 +243,147 @@ window.addEventListener("mouseup", () => {
 });
 
 window.addEventListener("mousemove", (e) => {
-  if (mouse.dragging && (gameState === "hub" || gameState === "level_freeroam")) {
+  // Under pointer lock, PointerLook reports raw movement instead
+  if (mouse.dragging && !pointerLook.locked) {
     const dx = e.clientX - mouse.lastX;
     const dy = e.clientY - mouse.lastY;
     mouse.lastX = e.clientX;
     mouse.lastY = e.clientY;
-
-    if (gameState === "level_freeroam") {
-      const active = sceneManager.getActiveScene();
-      if (active && active.handleMouseLook) active.handleMouseLook(dx, dy);
-    } else {
-      cameraYaw -= dx * 0.004;
-      cameraPitch = THREE.MathUtils.clamp(
-        cameraPitch - dy * 0.004,
-        0.1,
-        1.0
-      );
-    }
+    gameState.dispatch("look", { dx, dy });
   }
 });
 
+// Overlays that release pointer lock even in look-enabled states
+const LOCK_BLOCKING_OVERLAYS = ["computer-screen-overlay", "phone-overlay", "caption-backlog", "controls-panel"]
+  .map(id => document.getElementById(id))
+  .filter(Boolean);
+
+// Optional pointer lock (pause menu setting): click the canvas to look without dragging
+const pointerLook = new PointerLook(renderer.domElement, {
+  onLook: (dx, dy) => gameState.dispatch("look", { dx, dy }),
+  // Photo mode keeps the cursor free for its toolbar
+  canLock: () => gameState.handles("look") && !gameState.is("photo")
+    && LOCK_BLOCKING_OVERLAYS.every(el => el.classList.contains("hidden")),
+});
+
+// Wheel zooms the follow camera; one notch is about 100px (or 3 lines)
+renderer.domElement.addEventListener("wheel", (e) => {
+  const pixels = e.deltaMode === WheelEvent.DOM_DELTA_LINE ? e.deltaY * 33 : e.deltaY;
+  gameState.dispatch("zoom", { steps: pixels / 100 });
+}, { passive: true });
+
 // ========================================
-// GAMEPAD INPUT
+// TOUCH CONTROLS
 // ========================================
 
-function getGamepadInput() {
-  const gp = navigator.getGamepads()?.[0];
-  if (!gp) return { moveX: 0, moveY: 0, lookX: 0, lookY: 0 };
-
-  const deadzone = (v, threshold = 0.15) => {
-    return Math.abs(v) < threshold
-      ? 0
-      : ((Math.abs(v) - threshold) / (1 - threshold)) * Math.sign(v);
-  };
+const touchControls = new TouchControls(input, {
+  onLook: (dx, dy) => gameState.dispatch("look", { dx, dy }),
+});
 
-  return {
-    moveX: deadzone(gp.axes[0]),
-    moveY: deadzone(gp.axes[1]),
-    lookX: deadzone(gp.axes[2]),
-    lookY: deadzone(gp.axes[3]),
-  };
+/** Show the stick, look area and A/B/jump only where they do something */
+function updateTouchContext() {
+  touchControls.setContext({
+    move: gameState.is("hub", "level_freeroam", "photo"),
+    look: gameState.handles("look"),
+    a: !gameState.is("welcome") && gameState.handles("confirm"),
+    b: gameState.handles("back"),
+    jump: gameState.is("level_freeroam"),
+    menu: gameState.handles("menu") && !gameState.is("photo"),
+    photo: gameState.handles("photo"),
+  });
 }
+gameState.onChange(updateTouchContext);
+updateTouchContext();
 
-const currButtons = new Array(17).fill(false);
-const prevButtons = new Array(17).fill(false);
-
-function pollGamepadButtons() {
-  const gp = navigator.getGamepads()?.[0];
-  if (!gp) return;
-  for (let i = 0; i < Math.min(gp.buttons.length, currButtons.length); i++) {
-    currButtons[i] = gp.buttons[i].pressed;
-  }
-}
+// Picking up the keyboard or a pad puts the on-screen controls away
+glyphs.onChange((device) => {
+  if (device === "touch") touchControls.activate();
+  else touchControls.deactivate();
+});
 
-function buttonJustPressed(index) {
-  return currButtons[index] && !prevButtons[index];
-}
+// ========================================
+// HUD CONTROLS HINT
+// ========================================
 
-function saveButtonState() {
-  for (let i = 0; i < currButtons.length; i++) {
-    prevButtons[i] = currButtons[i];
-  }
-}
+const HUD_CONTROLS_KEYS = {
+  keyboard: "hud.controlsKeyboard",
+  gamepad: "hud.controlsGamepad",
+  touch: "hud.controlsTouch",
+};
+const HUD_GLYPH_ACTIONS = ["moveForward", "moveLeft", "moveBack", "moveRight", "jump", "interact", "confirm", "captions", "backlog", "photo", "menu"];
 
-window.addEventListener("gamepadconnected", () => {
-  gamepadConnected = true;
+function updateHudControls() {
   if (hudControls) {
-    hudControls.textContent =
-      "Left Stick: move \u2022 Right Stick: look \u2022 A: interact \u2022 X: jump";
+    hudControls.textContent = t(HUD_CONTROLS_KEYS[glyphs.device], glyphs.labels(HUD_GLYPH_ACTIONS));
   }
-});
+  updatePhotoHint();
+}
+glyphs.onChange(updateHudControls);
 
+// Unplugging the pad hands prompts back to the keyboard
 window.addEventListener("gamepaddisconnected", () => {
-  gamepadConnected = false;
-  if (hudControls) {
-    hudControls.textContent = "WASD to move \u2022 Mouse to look \u2022 Space: jump \u2022 Enter: interact";
-  }
+  if (input.lastDevice === "gamepad") input.noteDevice("keyboard", "");
 });
 
+// The hub controller only runs while walking the hallway
+gameState.onEnter("hub", () => hubController.enable());
+gameState.onExit("hub", () => hubController.disable());
+
 // ========================================
-// PLAYER & CAMERA STATE
+// SETTINGS
 // ========================================
 
-const playerVelocity = new THREE.Vector3();
-let cameraYaw = 0;
-let cameraPitch = 0.3;
+const settings = new Settings();
+
+/** Camera settings in the shape PlayerController.applySettings expects */
+function lookSettings() {
+  return {
+    mouseSensitivity: settings.get("mouseSensitivity"),
+    stickSensitivity: settings.get("stickSensitivity"),
+    invertY: settings.get("invertY"),
+    fov: settings.get("fov"),
+  };
+}
 
-const MOVE_SPEED = 6.0;
-const MOVE_ACCEL = 15.0;
-const MOVE_DECEL = 10.0;
-const TURN_SPEED = 8.0;
+/** Fog, shadows and effects for the hub and whichever level is loaded */
+function applyGraphics(preset) {
+  applySceneQuality(hubScene, preset);
+  const active = sceneManager.getActiveScene();
+  if (active && active.applyGraphics) active.applyGraphics(preset);
+}
+graphics.onChange(applyGraphics);
+
+/** Push every setting to the hub camera, the audio buses, the graphics preset and the active level */
+function applySettings() {
+  graphics.setMode(settings.get("graphicsQuality"));
 
-const CAM_DISTANCE = 9.0;
-const CAM_HEIGHT = 5.0;
-const CAM_LOOKAT_HEIGHT = 3.5;
-const CAM_SMOOTHING = 10.0;
-const CAM_STICK_SENSITIVITY = 3.0;
+  hubCamera.fov = settings.get("fov");
+  hubCamera.updateProjectionMatrix();
 
-// Pre-allocated temp vectors
-const _moveDir = new THREE.Vector3();
-const _upAxis = new THREE.Vector3(0, 1, 0);
-const _zeroVec = new THREE.Vector3();
-const _camTarget = new THREE.Vector3();
-const _lookTarget = new THREE.Vector3();
-const _velDelta = new THREE.Vector3();
+  audio.setVolume("music", settings.get("musicVolume"));
+  audio.setVolume("sfx", settings.get("sfxVolume"));
+  audio.setVolume("voice", settings.get("voiceVolume"));
+
+  hubController.applySettings(lookSettings());
+  photoMode.applySettings(lookSettings());
+  pointerLook.setEnabled(settings.get("pointerLock"));
+  const active = sceneManager.getActiveScene();
+  if (active && active.applySettings) active.applySettings(lookSettings());
+}
+settings.onChange(applySettings);
+applySettings();
 
 // ========================================
 // UI FUNCTIONS
 // ========================================
 
-function showStoryPanel(index) {
-  const chapter = chapters[index];
-  gameState = "in_zone";
+function showStoryPanel(index, { fromSequence = false } = {}) {
+  const chapter = localizeChapter(chapters[index]);
+  gameState.transition("in_zone", fromSequence ? "show_story beat" : "story panel");
+  storyFromSequence = fromSequence;
 
   panelDate.textContent = chapter.date;
-  panelNumber.textContent = `${index + 1} of ${chapters.length}`;
+  panelNumber.textContent = t("panel.count", { n: index + 1, total: chapters.length });
   panelTitle.textContent = chapter.title;
   panelBody.textContent = chapter.storyText;
 
@@ -293,9 +394,11 @@ function showStoryPanel(index) {
     panelQuote.classList.add("hidden");
   }
 
-  panelContinue.innerHTML = gamepadConnected
-    ? 'Make Your Choice <span class="glyph-a">A</span>'
-    : "Make Your Choice <span>&#10140;</span>";
+  panelContinue.textContent = t("panel.makeChoice") + " ";
+  const continueGlyph = document.createElement("span");
+  continueGlyph.className = "glyph-a";
+  continueGlyph.dataset.glyph = "primary";
+  panelContinue.appendChild(continueGlyph);
   storyPanel.classList.remove("hidden");
 }
 
@@ -303,12 +406,30 @@ function hideStoryPanel() {
   storyPanel.classList.add("hidden");
 }
 
-function showChoicePanel(index) {
+/**
+ * Story panel "continue" — hands control back to the level sequence
+ * if a show_story beat opened the panel, otherwise goes to the choice.
+ */
+function continueFromStoryPanel() {
+  hideStoryPanel();
+
+  if (storyFromSequence) {
+    storyFromSequence = false;
+    gameState.transition("level_sequence", "story continued");
+    sequenceRunner.signal("story_continue", { chapterIndex: activeChapterIndex() });
+    return;
+  }
+
+  showChoicePanel(activeChapterIndex());
+}
+
+function showChoicePanel(index, { fromSequence = false } = {}) {
   const chapter = chapters[index];
-  gameState = "choice";
+  gameState.transition("choice", fromSequence ? "show_choice beat" : "choice panel");
   selectedChoiceIndex = 0;
+  choiceFromSequence = fromSequence;
 
-  choicePrompt.textContent = chapter.choicePrompt;
+  choicePrompt.textContent = chapterText(chapter, "choicePrompt", chapter.choicePrompt);
   choiceOptions.innerHTML = "";
 
   const shuffled = [...chapter.choices].sort(() => Math.random() - 0.5);
@@ -316,7 +437,7 @@ function showChoicePanel(index) {
   shuffled.forEach((choice, i) => {
     const btn = document.createElement("button");
     btn.className = "choice-btn" + (i === 0 ? " selected" : "");
-    btn.textContent = choice.text;
+    btn.textContent = choiceText(chapter, choice, "text");
     btn.addEventListener("click", () => handleChoice(choice, index));
     btn.addEventListener("mouseenter", () => {
       selectedChoiceIndex = i;
@@ -328,6 +449,11 @@ function showChoicePanel(index) {
   choicePanel.classList.remove("hidden");
 }
 
+/** Localized text/response for one of a chapter's (unshuffled) choices */
+function choiceText(chapter, choice, field) {
+  return chapterText(chapter, `choice${chapter.choices.indexOf(choice)}.${field}`, choice[field]);
+}
+
 function updateChoiceHighlight() {
   const btns = choiceOptions.querySelectorAll(".choice-btn");
   btns.forEach((btn, i) => {
@@ -338,15 +464,43 @@ function updateChoiceHighlight() {
 function handleChoice(choice, chapterIndex) {
   choicePanel.classList.add("hidden");
   lastChoiceCorrect = choice.correct;
-  gameState = "choice_result";
+  // Replaying a memory doesn't rewrite the recap; it counts its own attempts
+  if (memoryChapterIndex === null) {
+    chapterAttempts[chapterIndex] = (chapterAttempts[chapterIndex] || 0) + 1;
+    chapterChoices[chapterIndex] = chapters[chapterIndex].choices.indexOf(choice);
+  } else {
+    memoryAttempts++;
+  }
+
+  // A show_choice beat is waiting — let the sequence play its outro
+  // beats first; the result overlay appears when it completes.
+  if (choiceFromSequence && sequenceRunner.isRunning) {
+    choiceFromSequence = false;
+    pendingChoice = { choice, chapterIndex };
+    gameState.transition("level_sequence", "choice outro");
+    sequenceRunner.signal("choice_made", {
+      chapterIndex,
+      index: chapters[chapterIndex].choices.indexOf(choice),
+      correct: choice.correct,
+      attempts: memoryChapterIndex !== null ? memoryAttempts : chapterAttempts[chapterIndex],
+      sequence: choice.sequence || null,
+    });
+    return;
+  }
+
+  showChoiceResult(choice, chapterIndex);
+}
+
+function showChoiceResult(choice, chapterIndex) {
+  gameState.transition("choice_result", choice.correct ? "correct choice" : "wrong choice");
 
   if (choice.correct) {
-    rightChoiceText.textContent = choice.response;
+    rightChoiceText.textContent = choiceText(chapters[chapterIndex], choice, "response");
     rightChoiceOverlay.classList.remove("hidden");
     visitedChapters.add(chapterIndex);
     updateHud();
   } else {
-    wrongChoiceText.textContent = choice.response;
+    wrongChoiceText.textContent = choiceText(chapters[chapterIndex], choice, "response");
     wrongChoiceOverlay.classList.remove("hidden");
   }
 }
@@ -355,56 +509,86 @@ function continueAfterCorrectChoice() {
   rightChoiceOverlay.classList.add("hidden");
 
   // If we were in a level scene, clean up
-  if (sceneManager.isInLevel()) {
-    sequenceRunner.stop();
-
-    // Hide phone overlay if still visible
-    const phoneOverlay = document.getElementById("phone-overlay");
-    if (phoneOverlay) phoneOverlay.classList.add("hidden");
+  if (sceneManager.isInLevel()) leaveLevel();
 
-    // Move character back to hub
-    if (characterModel) {
-      player.add(characterModel);
-    }
-
-    sceneManager.exitLevel();
+  // A replayed memory ends back at its own door, progress unchanged
+  if (memoryChapterIndex !== null) {
+    const chapterIndex = memoryChapterIndex;
+    memoryChapterIndex = null;
+    doTransition(() => {
+      placeInFrontOfDoor(chapterIndex);
+      gameState.transition("hub", "memory complete");
+      updateHudHint();
+    });
+    return;
   }
 
   if (visitedChapters.size === chapters.length) {
-    setTimeout(() => {
-      gameState = "finale";
-      gameHud.classList.add("hidden");
-      finaleScreen.classList.remove("hidden");
-    }, 500);
+    levelCheckpoint = null;
+    autosave();
+    setTimeout(() => showFinale("all chapters visited"), 500);
     return;
   }
 
   currentChapterIndex = getNextChapterIndex();
+  levelCheckpoint = null;
+  autosave();
 
   doTransition(() => {
-    gameState = "hub";
+    gameState.transition("hub", "chapter complete");
     updateHudHint();
   });
 }
 
+/** Tear down the active level scene and bring the character back to the hallway */
+function leaveLevel() {
+  sequenceRunner.stop();
+
+  // Hide phone overlay if still visible
+  const phoneOverlay = document.getElementById("phone-overlay");
+  if (phoneOverlay) phoneOverlay.classList.add("hidden");
+
+  // Move character back to hub
+  if (characterModel) {
+    player.add(characterModel);
+  }
+
+  sceneManager.exitLevel();
+  audio.stopEffects();
+  playHubAudio();
+  captions.hide();
+  captions.toggleBacklog(false);
+}
+
 function retryChapter() {
   wrongChoiceOverlay.classList.add("hidden");
 
-  const chapter = chapters[currentChapterIndex];
+  const chapterIndex = activeChapterIndex();
+  const chapter = chapters[chapterIndex];
 
   // If in a level scene, restart the sequence
   if (sceneManager.isInLevel() && chapter.sequence) {
-    gameState = "level_sequence";
+    gameState.transition("level_sequence", "retry");
     // Re-run sequence from the choice beat (skip the cinematic intro, just show choice again)
-    showChoicePanel(currentChapterIndex);
+    const choiceBeatIndex = chapter.sequence.findLastIndex(b => b.type === "show_choice");
+    if (choiceBeatIndex >= 0) {
+      sequenceRunner.restartFrom(choiceBeatIndex);
+    } else {
+      showChoicePanel(chapterIndex);
+    }
     return;
   }
 
   doTransition(() => {
-    showStoryPanel(currentChapterIndex);
+    showStoryPanel(chapterIndex);
   });
 }
 
+/** The chapter being played — a replayed memory or the current one */
+function activeChapterIndex() {
+  return memoryChapterIndex ?? currentChapterIndex;
+}
+
 function getNextChapterIndex() {
   for (let i = 0; i < chapters.length; i++) {
     if (!visitedChapters.has(i)) return i;
@@ -445,23 +629,76 @@ function doDoorTransition(callback) {
 }
 
 function updateHud() {
-  hudProgress.textContent = `${visitedChapters.size} / ${chapters.length}`;
+  hudProgress.textContent = t("hud.progress", { n: visitedChapters.size, total: chapters.length });
+}
+
+let hudHintTimer = null;
+
+function showHudHint(text) {
+  hudHint.textContent = text;
+  hudHint.style.opacity = "1";
+  clearTimeout(hudHintTimer);
+  hudHintTimer = setTimeout(() => {
+    hudHint.style.opacity = "0";
+  }, 5000);
 }
 
 function updateHudHint() {
   const nextIndex = getNextChapterIndex();
   if (nextIndex >= 0) {
-    hudHint.textContent = `Walk towards the glowing door \u2014 ${chapters[nextIndex].title}`;
-    hudHint.style.opacity = "1";
-    setTimeout(() => {
-      hudHint.style.opacity = "0";
-    }, 5000);
+    const title = chapterText(chapters[nextIndex], "title", chapters[nextIndex].title);
+    showHudHint(t("hud.hintDoor", { title }));
   }
 }
 
+/** A door that isn't open yet: rattle, blink its marker, point at the right one */
+function showLockedDoor(chapterIndex) {
+  audio.play("door_locked");
+  flashLockedDoor(markers[chapterIndex], elapsedTime);
+
+  const nextIndex = getNextChapterIndex();
+  const title = chapterText(chapters[nextIndex], "title", chapters[nextIndex].title);
+  showHudHint(t("hud.doorLocked", { title }));
+}
+
 function startGame() {
-  gameState = "hub";
-  currentChapterIndex = 0;
+  if (saveSystem.hasSave()) {
+    const ok = window.confirm(t("save.confirmNew"));
+    if (!ok) return;
+  }
+
+  resetProgress();
+  beginPlaying();
+  autosave();
+}
+
+function continueGame() {
+  const data = saveSystem.load();
+  if (!data) {
+    startGame();
+    return;
+  }
+
+  resetProgress();
+  applySaveData(data);
+
+  if (visitedChapters.size === chapters.length) {
+    welcomeScreen.classList.add("hidden");
+    showFinale("save complete");
+    return;
+  }
+
+  beginPlaying();
+
+  // Jump straight back into a level that was interrupted mid-sequence
+  if (levelCheckpoint && levelCheckpoint.chapterIndex === currentChapterIndex) {
+    enterLevel(currentChapterIndex);
+  }
+}
+
+function beginPlaying() {
+  gameState.transition("hub", "begin");
+  playHubAudio();
   welcomeScreen.classList.add("fade-out");
   setTimeout(() => {
     welcomeScreen.classList.add("hidden");
@@ -471,14 +708,31 @@ function startGame() {
   updateHudHint();
 }
 
-function replayGame() {
+/** Hallway ambience + theme, crossfading from whatever a level played */
+function playHubAudio() {
+  audio.playAmbience("hallway_ambience");
+  audio.playMusic("hallway_theme");
+}
+
+function resetProgress() {
   visitedChapters.clear();
   currentChapterIndex = 0;
-  gameState = "welcome";
+  levelCheckpoint = null;
+  storyFlags = {};
+  chapterAttempts = {};
+  chapterChoices = {};
+  playTime = 0;
+  memoryChapterIndex = null;
   player.position.set(0, 0, 4);
-  playerVelocity.set(0, 0, 0);
-  cameraYaw = 0;
-  cameraPitch = 0.3;
+  player.rotation.y = 0;
+  hubController.velocity.set(0, 0, 0);
+  hubController.yaw = 0;
+  hubController.pitch = 0.3;
+}
+
+function replayGame() {
+  resetProgress();
+  gameState.transition("welcome", "replay");
 
   // Ensure we're back on hub
   if (sceneManager.isInLevel()) {
@@ -487,35 +741,215 @@ function replayGame() {
       player.add(characterModel);
     }
     sceneManager.exitLevel();
+    audio.stopEffects();
   }
+  captions.hide();
+  captions.toggleBacklog(false);
 
   finaleScreen.classList.add("hidden");
   gameHud.classList.add("hidden");
   welcomeScreen.classList.remove("hidden");
   welcomeScreen.classList.remove("fade-out");
+  renderSaveSlots();
+}
+
+// ========================================
+// FINALE RECAP
+// ========================================
+
+function showFinale(reason) {
+  gameState.transition("finale", reason);
+  gameHud.classList.add("hidden");
+  renderFinaleRecap();
+  finaleScreen.classList.remove("hidden");
+  finaleScreen.scrollTop = 0;
+}
+
+function currentRecap() {
+  return buildRecap(chapters, { choices: chapterChoices, attempts: chapterAttempts, playTime });
+}
+
+function renderFinaleRecap() {
+  renderRecapTimeline(recapSummary, recapTimeline, currentRecap());
+}
+
+const RECAP_SCROLL_STEP = 160; // px per d-pad press
+
+recapImageBtn.addEventListener("click", async () => {
+  try {
+    await downloadRecapImage(currentRecap(), t("recap.title"));
+  } catch (e) {
+    console.warn("Failed to export recap image:", e);
+  }
+});
+recapPrintBtn.addEventListener("click", () => window.print());
+
+// ========================================
+// SAVE / LOAD
+// ========================================
+
+function buildSaveData() {
+  return {
+    visitedChapters: [...visitedChapters],
+    currentChapterIndex,
+    player: {
+      x: player.position.x,
+      z: player.position.z,
+      rotationY: player.rotation.y,
+    },
+    camera: { yaw: hubController.yaw, pitch: hubController.pitch },
+    checkpoint: levelCheckpoint,
+    flags: storyFlags,
+    attempts: chapterAttempts,
+    choices: chapterChoices,
+    playTime,
+  };
+}
+
+function autosave() {
+  saveSystem.save(buildSaveData());
+}
+
+function applySaveData(data) {
+  visitedChapters = new Set(
+    data.visitedChapters.filter(i => i >= 0 && i < chapters.length)
+  );
+  currentChapterIndex = visitedChapters.has(data.currentChapterIndex)
+    ? getNextChapterIndex()
+    : THREE.MathUtils.clamp(data.currentChapterIndex, 0, chapters.length - 1);
+
+  if (data.player) {
+    player.position.set(
+      THREE.MathUtils.clamp(data.player.x, HALLWAY_BOUNDS.minX, HALLWAY_BOUNDS.maxX),
+      0,
+      THREE.MathUtils.clamp(data.player.z, HALLWAY_BOUNDS.minZ, HALLWAY_BOUNDS.maxZ)
+    );
+    player.rotation.y = data.player.rotationY;
+  }
+  if (data.camera) {
+    hubController.yaw = data.camera.yaw;
+    hubController.pitch = THREE.MathUtils.clamp(data.camera.pitch, 0.1, 1.0);
+  }
+  levelCheckpoint = data.checkpoint;
+  storyFlags = { ...data.flags };
+  chapterAttempts = { ...data.attempts };
+  chapterChoices = { ...data.choices };
+  playTime = data.playTime;
+}
+
+function renderSaveSlots() {
+  saveSlotsEl.innerHTML = "";
+
+  for (const [i, slot] of saveSystem.listSlots().entries()) {
+    const btn = document.createElement("button");
+    btn.className = "save-slot-btn" + (slot.active ? " selected" : "");
+
+    const name = document.createElement("span");
+    name.className = "save-slot-name";
+    name.textContent = t("save.slot", { n: i + 1 }, slot.name);
+
+    const detail = document.createElement("span");
+    detail.className = "save-slot-detail";
+    detail.textContent = slot.data
+      ? t("save.slotProgress", { n: slot.data.visitedChapters.length, total: chapters.length })
+      : t("save.slotEmpty");
+
+    btn.append(name, detail);
+    btn.addEventListener("click", () => {
+      saveSystem.setActiveSlot(slot.id);
+      renderSaveSlots();
+    });
+    saveSlotsEl.appendChild(btn);
+  }
+
+  const hasSave = saveSystem.hasSave();
+  resumeBtn.classList.toggle("hidden", !hasSave);
+  playBtnLabel.textContent = t(hasSave ? "welcome.newGame" : "welcome.begin");
+  exportSaveBtn.disabled = !hasSave;
+}
+
+renderSaveSlots();
+
+// ========================================
+// HALLWAY DOORS
+// ========================================
+// Like level01's InteractionSystem: standing at a door shows its card,
+// and interact opens it. Finished doors replay as memories.
+
+const doorCard = new DoorCard(document.getElementById("door-card"));
+
+/** "locked", "current" or "visited" */
+function doorState(chapterIndex) {
+  if (visitedChapters.has(chapterIndex)) return "visited";
+  return chapterIndex === currentChapterIndex ? "current" : "locked";
+}
+
+function showDoorCard(chapterIndex) {
+  nearDoorIndex = chapterIndex;
+  doorCard.show(chapters[chapterIndex], chapterIndex, doorState(chapterIndex));
 }
 
+function hideDoorCard() {
+  nearDoorIndex = null;
+  doorCard.hide();
+}
+
+function enterDoor() {
+  if (nearDoorIndex === null) return;
+
+  const state = doorState(nearDoorIndex);
+  if (state === "locked") showLockedDoor(nearDoorIndex);
+  else enterLevel(nearDoorIndex, { memory: state === "visited" });
+}
+
+// Doors swing shut behind the player. The player may have been placed
+// somewhere new, and a door's state may have changed, so the card is
+// re-read from where they stand now.
+gameState.onEnter("hub", () => {
+  doors.forEach(door => setDoorOpen(door, false));
+  const [trigger] = hubController.syncTriggers();
+  if (trigger) showDoorCard(trigger.chapterIndex);
+});
+gameState.onExit("hub", hideDoorCard);
+
+// Tapping or clicking the card works like interact
+document.getElementById("door-card").addEventListener("click", () => gameState.dispatch("interact"));
+
 // ========================================
 // LEVEL ENTRY
 // ========================================
 
-async function enterLevel(chapterIndex) {
+/**
+ * @param {number} chapterIndex
+ * @param {{ memory?: boolean }} [options] — memory: replay a finished
+ *   chapter without touching progress, flags, checkpoints or the recap
+ */
+async function enterLevel(chapterIndex, { memory = false } = {}) {
+  // Only from the hallway, and only once while a door is already opening
+  if (!gameState.is("hub")) return;
+
+  memoryChapterIndex = memory ? chapterIndex : null;
+  memoryAttempts = 0;
   const chapter = chapters[chapterIndex];
+  gameState.transition("entering_zone", `door ${chapterIndex + 1}`);
+  captions.startChapter(chapterText(chapter, "title", chapter.title));
+
+  // Let the hallway door swing open before fading through it
+  setDoorOpen(doors[chapterIndex], true);
+  audio.play("door_open");
+  await new Promise(resolve => setTimeout(resolve, DOOR_SWING_TIME * 1000));
 
   if (!chapter.levelModule) {
     // No custom level — use traditional text panel flow
     doTransition(() => {
       showStoryPanel(chapterIndex);
     });
-    gameState = "entering_zone";
     return;
   }
 
   // Custom level scene — do door transition
-  gameState = "entering_zone";
-
   doDoorTransition(async () => {
-    const levelScene = await sceneManager.enterLevel(chapter);
+    const levelScene = await sceneManager.enterLevel(chapter, { graphics: graphics.preset });
 
     if (!levelScene) {
       // Fallback if level failed to load
@@ -523,6 +957,8 @@ async function enterLevel(chapterIndex) {
       return;
     }
 
+    if (levelScene.applySettings) levelScene.applySettings(lookSettings());
+
     // Move character model into the level scene
     if (characterModel) {
       player.remove(characterModel);
@@ -536,12 +972,6 @@ async function enterLevel(chapterIndex) {
       }
     }
 
-    // Stop walking animation and pass it to the level's PlayerController
-    if (walkAction && isWalking) {
-      walkAction.fadeOut(0.3);
-      isWalking = false;
-    }
-
     // Pass walkAction to level so PlayerController can manage walk animation
     if (walkAction && levelScene.setWalkAction) {
       levelScene.setWalkAction(walkAction);
@@ -555,11 +985,26 @@ async function enterLevel(chapterIndex) {
       levelScene.registerAnimation('sit', sitAction);
     }
 
+    // Chapter-specific reaction kinds (e.g. custom icons)
+    registerReactions(chapter.reactions);
+
     // Start the narrative sequence
-    gameState = "level_sequence";
+    gameState.transition("level_sequence", "level loaded");
 
     sequenceRunner.onComplete = () => {
-      // Sequence ended — if last beat was show_choice, choice panel is already showing
+      // Sequence ended — reveal the result of the choice made mid-sequence
+      if (pendingChoice) {
+        const { choice } = pendingChoice;
+        pendingChoice = null;
+        showChoiceResult(choice, chapterIndex);
+      }
+    };
+
+    // Persist checkpoints so a reload resumes mid-level
+    sequenceRunner.onCheckpoint = (checkpoint) => {
+      if (memory) return;
+      levelCheckpoint = { chapterIndex, ...checkpoint };
+      autosave();
     };
 
     const seqContext = {
@@ -567,17 +1012,26 @@ async function enterLevel(chapterIndex) {
       camera: levelScene.camera,
       player: levelScene.playerAnchor || characterModel,
       level: levelScene,
-      setGameState: (newState) => { gameState = newState; },
-      getInput: () => ({ keys, gamepad: getGamepadInput() }),
+      flags: memory ? { ...storyFlags } : storyFlags,
+      audio,
+      captions,
+      playerSpeaker: chapter.playerSpeaker ?? null,
+      translate: (key, fallback) => chapterText(chapter, key, fallback),
+      setGameState: (newState) => gameState.transition(newState, "sequence beat"),
+      getInput: () => input,
       onShowChoice: () => {
-        showChoicePanel(chapterIndex);
+        showChoicePanel(chapterIndex, { fromSequence: true });
       },
       onShowStory: () => {
-        showStoryPanel(chapterIndex);
+        showStoryPanel(chapterIndex, { fromSequence: true });
       },
     };
 
-    sequenceRunner.start(chapter.sequence, seqContext);
+    if (!memory && levelCheckpoint && levelCheckpoint.chapterIndex === chapterIndex) {
+      sequenceRunner.resume(chapter.sequence, seqContext, levelCheckpoint);
+    } else {
+      sequenceRunner.start(chapter.sequence, seqContext);
+    }
   });
 }
 
@@ -586,132 +1040,688 @@ async function enterLevel(chapterIndex) {
 // ========================================
 
 playBtn.addEventListener("click", startGame);
+resumeBtn.addEventListener("click", continueGame);
 replayBtn.addEventListener("click", replayGame);
 
-panelContinue.addEventListener("click", () => {
-  if (gameState === "in_zone") {
-    hideStoryPanel();
-    showChoicePanel(currentChapterIndex);
+exportSaveBtn.addEventListener("click", () => {
+  saveSystem.exportSlot();
+});
+
+importSaveBtn.addEventListener("click", () => {
+  importSaveInput.click();
+});
+
+importSaveInput.addEventListener("change", async () => {
+  const file = importSaveInput.files[0];
+  importSaveInput.value = "";
+  if (!file) return;
+  if (saveSystem.hasSave() && !window.confirm(t("save.confirmImport"))) return;
+
+  try {
+    await saveSystem.importFile(file);
+  } catch (e) {
+    console.warn("Failed to import save:", e);
+    window.alert(t("save.importFailed"));
+  }
+  renderSaveSlots();
+});
+
+// Keep the hallway position when the tab is closed mid-walk
+window.addEventListener("pagehide", () => {
+  if (gameState.is("hub")) autosave();
+});
+
+// Touch players can tap anywhere on the story panel
+storyPanel.addEventListener("click", (e) => {
+  if (!gameState.is("in_zone")) return;
+  if (e.target.closest("#panel-continue") || touchControls.active) {
+    continueFromStoryPanel();
   }
 });
 
 retryBtn.addEventListener("click", retryChapter);
+
+// Clicking the dialogue box works like pressing A
+dialogueBox.addEventListener("click", () => {
+  if (gameState.is("level_sequence")) sequenceRunner.signal("key_a");
+});
 continueBtn.addEventListener("click", continueAfterCorrectChoice);
 
-window.addEventListener("keydown", (e) => {
-  // Space = jump (in free-roam), otherwise advance UI
-  if (e.code === "Space") {
-    if (gameState === "level_freeroam") {
-      const active = sceneManager.getActiveScene();
-      if (active && active.jump) active.jump();
-    } else if (gameState === "level_sequence") {
-      sequenceRunner.signal("key_a");
-    } else if (gameState === "in_zone") {
-      hideStoryPanel();
-      showChoicePanel(currentChapterIndex);
-    } else if (gameState === "choice") {
-      const btns = choiceOptions.querySelectorAll(".choice-btn");
-      if (btns[selectedChoiceIndex]) btns[selectedChoiceIndex].click();
-    }
+function updateCaptionsButton() {
+  captionsBtn.textContent = t("captions.toggle", { state: t(captions.enabled ? "captions.on" : "captions.off") });
+}
+captionsBtn.addEventListener("click", () => {
+  captions.toggle();
+  updateCaptionsButton();
+});
+
+// ========================================
+// CONTROLS (rebinding)
+// ========================================
+
+function renderControlsPanel() {
+  controlsList.innerHTML = "";
+
+  for (const action of REBINDABLE_ACTIONS) {
+    const row = document.createElement("li");
+    row.className = "controls-row";
+
+    const name = document.createElement("span");
+    name.className = "controls-action";
+    name.textContent = t(`action.${action}`);
+
+    row.append(name, createBindingButton(action, "keyboard"), createBindingButton(action, "gamepad"));
+    controlsList.appendChild(row);
   }
-  // Enter = interact (in free-roam), otherwise advance UI
-  if (e.code === "Enter") {
-    if (gameState === "level_freeroam") {
-      const active = sceneManager.getActiveScene();
-      if (active && active.tryInteract) active.tryInteract();
-    } else if (gameState === "level_sequence") {
-      sequenceRunner.signal("key_a");
-    } else if (gameState === "in_zone") {
-      hideStoryPanel();
-      showChoicePanel(currentChapterIndex);
-    } else if (gameState === "choice") {
-      const btns = choiceOptions.querySelectorAll(".choice-btn");
-      if (btns[selectedChoiceIndex]) btns[selectedChoiceIndex].click();
+}
+
+/** One device's bindings for an action; click, then press the new input */
+function createBindingButton(action, device) {
+  const btn = document.createElement("button");
+  btn.className = "binding-btn";
+
+  const showBinding = () => {
+    const codes = input.getBindings(action).filter(code => codeDevice(code) === device);
+    btn.textContent = codes.length ? codes.map(code => glyphs.codeLabel(code)).join(" / ") : t("controls.unbound");
+    btn.classList.remove("capturing");
+  };
+  showBinding();
+
+  btn.addEventListener("click", async () => {
+    btn.textContent = t("controls.press");
+    btn.classList.add("capturing");
+    const code = await input.captureNext(device);
+    if (code) {
+      input.rebind(action, device, [code]);
+      onBindingsChanged();
+    } else {
+      showBinding();
     }
+  });
+  return btn;
+}
+
+/** Prompts and the HUD hint name the bound keys, so redraw them too */
+function onBindingsChanged() {
+  // Move/menu actions share keys, so refresh every row
+  renderControlsPanel();
+  glyphs.refresh();
+  updateHudControls();
+}
+
+function closeControlsPanel() {
+  input.cancelCapture();
+  controlsPanel.classList.add("hidden");
+}
+
+controlsBtn.addEventListener("click", () => {
+  renderControlsPanel();
+  controlsPanel.classList.remove("hidden");
+});
+controlsCloseBtn.addEventListener("click", closeControlsPanel);
+controlsResetBtn.addEventListener("click", () => {
+  input.cancelCapture();
+  input.resetBindings();
+  onBindingsChanged();
+});
+controlsPanel.addEventListener("click", (e) => {
+  if (e.target === controlsPanel) closeControlsPanel();
+});
+
+// ========================================
+// PAUSE MENU
+// ========================================
+
+const pauseMenu = document.getElementById("pause-menu");
+const pauseResumeBtn = document.getElementById("pause-resume-btn");
+const pauseHallwayBtn = document.getElementById("pause-hallway-btn");
+const settingsResetBtn = document.getElementById("settings-reset-btn");
+const settingInputs = pauseMenu.querySelectorAll("[data-setting]");
+
+let pausedFrom = null; // state to resume into
+let pauseFocusIndex = 0;
+
+function openPauseMenu() {
+  // Door and fade transitions finish on timers — let them land first
+  if (!transitionOverlay.classList.contains("hidden")) return;
+
+  pausedFrom = gameState.current;
+  if (!gameState.transition("paused", `from ${pausedFrom}`)) return;
+
+  // Already in the hallway — nothing to return to
+  pauseHallwayBtn.classList.toggle("hidden", pausedFrom === "hub");
+  renderPauseSettings();
+  pauseMenu.classList.remove("hidden");
+  pauseFocusIndex = 0;
+  focusPauseItem();
+}
+
+function resumeFromPause() {
+  if (!gameState.is("paused")) return;
+  pauseMenu.classList.add("hidden");
+  gameState.transition(pausedFrom, "resume");
+  pausedFrom = null;
+}
+
+/** Abandon the current chapter and walk back out of its door */
+function returnToHallway() {
+  if (!gameState.is("paused") || pausedFrom === "hub") return;
+
+  // The chapter is already won — finish it the normal way
+  if (pausedFrom === "choice_result" && lastChoiceCorrect) {
+    resumeFromPause();
+    continueAfterCorrectChoice();
+    return;
   }
-  // B key handling for key_prompt beats (stop working, etc.)
-  if (e.code === "KeyB" || e.code === "Escape") {
-    if (gameState === "level_sequence") {
-      sequenceRunner.signal("key_b");
-    }
+
+  pauseMenu.classList.add("hidden");
+  hideStoryPanel();
+  choicePanel.classList.add("hidden");
+  wrongChoiceOverlay.classList.add("hidden");
+  rightChoiceOverlay.classList.add("hidden");
+  pendingChoice = null;
+  pausedFrom = null;
+  // Leaving a memory keeps the current chapter's checkpoint
+  if (memoryChapterIndex === null) levelCheckpoint = null;
+  placeInFrontOfDoor(activeChapterIndex());
+  memoryChapterIndex = null;
+
+  gameState.transition("hub", "return to hallway");
+  autosave();
+
+  doTransition(() => {
+    if (sceneManager.isInLevel()) leaveLevel();
+    captions.hide();
+    updateHudHint();
+  });
+}
+
+/** Step back from a door so its trigger doesn't fire straight away */
+function placeInFrontOfDoor(chapterIndex) {
+  const doorPos = getDoorPosition(chapterIndex);
+  player.position.set(0, 0, THREE.MathUtils.clamp(doorPos.z - DOOR_TRIGGER_RADIUS * 1.5, HALLWAY_BOUNDS.minZ, HALLWAY_BOUNDS.maxZ));
+  hubController.velocity.set(0, 0, 0);
+}
+
+function pauseItems() {
+  return [...pauseMenu.querySelectorAll(".pause-item")].filter(el => !el.classList.contains("hidden"));
+}
+
+function focusPauseItem() {
+  const items = pauseItems();
+  if (items[pauseFocusIndex]) items[pauseFocusIndex].focus();
+}
+
+function movePauseFocus(step) {
+  const items = pauseItems();
+  const current = items.indexOf(document.activeElement);
+  const from = current === -1 ? pauseFocusIndex : current;
+  pauseFocusIndex = (from + step + items.length) % items.length;
+  focusPauseItem();
+}
+
+function activatePauseItem() {
+  const el = document.activeElement;
+  if (!pauseMenu.contains(el)) return;
+  if (el.tagName === "BUTTON" || el.type === "checkbox") el.click();
+}
+
+/** Left/right on a focused slider or checkbox changes it by one step */
+function nudgePauseItem(steps) {
+  const el = document.activeElement;
+  if (pauseMenu.contains(el) && el.dataset.setting) settings.nudge(el.dataset.setting, steps);
+}
+
+function formatSetting(key, value) {
+  if (key === "graphicsQuality") {
+    return value === "auto"
+      ? t("settings.graphicsAuto", { level: t(`settings.graphics.${graphics.level}`) })
+      : t(`settings.graphics.${value}`);
   }
-  if (gameState === "choice") {
-    const btns = choiceOptions.querySelectorAll(".choice-btn");
-    if (e.code === "ArrowUp" || e.code === "KeyW") {
-      selectedChoiceIndex =
-        (selectedChoiceIndex - 1 + btns.length) % btns.length;
-      updateChoiceHighlight();
-      e.preventDefault();
-    } else if (e.code === "ArrowDown" || e.code === "KeyS") {
-      selectedChoiceIndex = (selectedChoiceIndex + 1) % btns.length;
-      updateChoiceHighlight();
-      e.preventDefault();
+  if (key === "fov") return `${value}°`;
+  if (key.endsWith("Volume")) return `${Math.round(value * 100)}%`;
+  return `${value.toFixed(2)}×`;
+}
+
+/** Sync the sliders and checkboxes with the stored values */
+function renderPauseSettings() {
+  settingInputs.forEach((el) => {
+    const key = el.dataset.setting;
+    const def = SETTING_DEFS[key];
+    if (el.type === "checkbox") {
+      el.checked = settings.get(key);
+      return;
     }
+    if (el.tagName === "BUTTON") {
+      el.textContent = formatSetting(key, settings.get(key));
+      return;
+    }
+    el.min = def.min;
+    el.max = def.max;
+    el.step = def.step;
+    el.value = settings.get(key);
+    const output = pauseMenu.querySelector(`[data-setting-value="${key}"]`);
+    if (output) output.textContent = formatSetting(key, settings.get(key));
+  });
+}
+settings.onChange(renderPauseSettings);
+// Auto graphics may step down while the menu is open
+graphics.onChange(renderPauseSettings);
+
+settingInputs.forEach((el) => {
+  // Option pickers cycle on click / A
+  if (el.tagName === "BUTTON") {
+    el.addEventListener("click", () => settings.nudge(el.dataset.setting, 1));
+    return;
   }
+  el.addEventListener("input", () => {
+    settings.set(el.dataset.setting, el.type === "checkbox" ? el.checked : el.valueAsNumber);
+  });
+});
+
+pauseResumeBtn.addEventListener("click", resumeFromPause);
+pauseHallwayBtn.addEventListener("click", returnToHallway);
+settingsResetBtn.addEventListener("click", () => settings.reset());
+pauseMenu.addEventListener("click", (e) => {
+  if (e.target === pauseMenu) resumeFromPause();
 });
 
 // ========================================
-// GAMEPAD BUTTON HANDLING
+// PHOTO MODE
 // ========================================
 
-function handleGamepadButtons() {
-  if (buttonJustPressed(0)) {
-    if (gameState === "level_sequence") {
-      // A button → signal key_a to sequence runner
-      sequenceRunner.signal("key_a");
-    } else if (gameState === "level_freeroam") {
-      const active = sceneManager.getActiveScene();
-      if (active && active.tryInteract) active.tryInteract();
-    } else if (gameState === "welcome") {
-      startGame();
-    } else if (gameState === "in_zone") {
-      hideStoryPanel();
-      showChoicePanel(currentChapterIndex);
-    } else if (gameState === "choice") {
-      const btns = choiceOptions.querySelectorAll(".choice-btn");
-      if (btns[selectedChoiceIndex]) btns[selectedChoiceIndex].click();
-    } else if (gameState === "choice_result") {
-      if (lastChoiceCorrect) {
-        continueAfterCorrectChoice();
-      } else {
-        retryChapter();
+const photoPanel = document.getElementById("photo-mode");
+const photoHint = document.getElementById("photo-hint");
+const photoFlash = document.getElementById("photo-flash");
+const photoStatus = document.getElementById("photo-status");
+const photoFrameBtn = document.getElementById("photo-frame-btn");
+const photoCaptureBtn = document.getElementById("photo-capture-btn");
+const photoGalleryBtn = document.getElementById("photo-gallery-btn");
+const photoExitBtn = document.getElementById("photo-exit-btn");
+const photoEffectInputs = photoPanel.querySelectorAll("[data-photo-effect]");
+const photoGalleryPanel = document.getElementById("photo-gallery");
+const photoGalleryGrid = document.getElementById("photo-gallery-grid");
+const photoGalleryEmpty = document.getElementById("photo-gallery-empty");
+const photoGalleryCloseBtn = document.getElementById("photo-gallery-close-btn");
+
+const PHOTO_HINT_KEYS = {
+  keyboard: "photo.hintKeyboard",
+  gamepad: "photo.hintGamepad",
+  touch: "photo.hintTouch",
+};
+const PHOTO_GLYPH_ACTIONS = ["moveForward", "moveLeft", "moveBack", "moveRight", "interact", "confirm", "photoFrame", "back"];
+
+let photoFrom = null; // state to return to
+let photoCapturing = false;
+let photoStatusTimer = null;
+let galleryUrls = []; // object URLs of the thumbnails on show
+
+async function enterPhotoMode() {
+  if (!transitionOverlay.classList.contains("hidden")) return;
+
+  const active = sceneManager.getActiveScene();
+  const inLevel = sceneManager.isInLevel();
+  photoFrom = gameState.current;
+  if (!gameState.transition("photo", `from ${photoFrom}`)) return;
+
+  document.body.classList.add("photo-mode");
+  photoPanel.classList.remove("hidden");
+  photoStatus.textContent = "";
+
+  // The hallway's pipeline is loaded on first use; the scene keeps
+  // rendering as usual until it's ready
+  await photoMode.enter({
+    scene: active.scene,
+    camera: active.camera,
+    postprocessing: inLevel ? active.postprocessing : null,
+    effects: graphics.preset.postprocessing,
+    bounds: inLevel ? (active.getCameraBounds ? active.getCameraBounds() : null) : getHallwayCameraBounds(),
+  });
+  renderPhotoControls();
+}
+
+function exitPhotoMode() {
+  if (!gameState.is("photo")) return;
+  closePhotoGallery();
+  photoMode.exit();
+  photoPanel.classList.add("hidden");
+  document.body.classList.remove("photo-mode");
+  gameState.transition(photoFrom, "leave photo mode");
+  photoFrom = null;
+}
+
+async function takePhoto() {
+  if (!photoMode.active || photoCapturing || !photoGalleryPanel.classList.contains("hidden")) return;
+  photoCapturing = true;
+
+  try {
+    const blob = await photoMode.capture();
+    photoFlash.classList.remove("flash");
+    void photoFlash.offsetWidth; // restart the animation
+    photoFlash.classList.add("flash");
+    await photoGallery.add(blob, { chapterIndex: sceneManager.isInLevel() ? activeChapterIndex() : null });
+    showPhotoStatus(t("photo.saved"));
+  } catch (e) {
+    console.warn("Failed to save photo:", e);
+    showPhotoStatus(t("photo.saveFailed"));
+  } finally {
+    photoCapturing = false;
+  }
+}
+
+function showPhotoStatus(text) {
+  photoStatus.textContent = text;
+  clearTimeout(photoStatusTimer);
+  photoStatusTimer = setTimeout(() => (photoStatus.textContent = ""), 2500);
+}
+
+function updatePhotoHint() {
+  photoHint.textContent = t(PHOTO_HINT_KEYS[glyphs.device], glyphs.labels(PHOTO_GLYPH_ACTIONS));
+}
+
+/** Sync the sliders and frame button with the photo pipeline */
+function renderPhotoControls() {
+  photoFrameBtn.textContent = t("photo.frame", { name: t(`photo.frame.${photoMode.frame}`) });
+  if (!photoMode.active) return;
+
+  const values = photoMode.getEffects();
+  photoEffectInputs.forEach((el) => {
+    const def = PHOTO_EFFECTS[el.dataset.photoEffect];
+    el.min = def.min;
+    el.max = def.max;
+    el.step = def.step;
+    el.value = values[el.dataset.photoEffect];
+  });
+}
+
+function cyclePhotoFrame() {
+  photoMode.cycleFrame();
+  renderPhotoControls();
+}
+
+// ---- Gallery ----
+
+async function openPhotoGallery() {
+  photoGalleryPanel.classList.remove("hidden");
+  await renderPhotoGallery();
+}
+
+function closePhotoGallery() {
+  photoGalleryPanel.classList.add("hidden");
+  galleryUrls.forEach(url => URL.revokeObjectURL(url));
+  galleryUrls = [];
+  photoGalleryGrid.innerHTML = "";
+}
+
+function photoPlace(photo) {
+  const chapter = chapters[photo.chapterIndex];
+  return chapter ? chapterText(chapter, "title", chapter.title) : t("photo.placeHallway");
+}
+
+async function renderPhotoGallery() {
+  let photos = [];
+  try {
+    photos = await photoGallery.list();
+  } catch (e) {
+    console.warn("Failed to read photo gallery:", e);
+  }
+
+  galleryUrls.forEach(url => URL.revokeObjectURL(url));
+  galleryUrls = [];
+  photoGalleryGrid.innerHTML = "";
+  photoGalleryEmpty.classList.toggle("hidden", photos.length > 0);
+
+  for (const photo of photos) {
+    const url = URL.createObjectURL(photo.blob);
+    galleryUrls.push(url);
+
+    const item = document.createElement("li");
+    item.className = "gallery-item";
+
+    const img = document.createElement("img");
+    img.src = url;
+    img.alt = photoPlace(photo);
+
+    const caption = document.createElement("span");
+    caption.textContent = `${photoPlace(photo)} · ${new Date(photo.takenAt).toLocaleString(getLocale())}`;
+
+    const actions = document.createElement("div");
+    actions.className = "gallery-actions";
+
+    const downloadBtn = document.createElement("button");
+    downloadBtn.className = "binding-btn";
+    downloadBtn.textContent = t("photo.download");
+    downloadBtn.addEventListener("click", () => photoGallery.download(photo));
+
+    const deleteBtn = document.createElement("button");
+    deleteBtn.className = "binding-btn";
+    deleteBtn.textContent = t("photo.delete");
+    deleteBtn.addEventListener("click", async () => {
+      if (!window.confirm(t("photo.confirmDelete"))) return;
+      try {
+        await photoGallery.remove(photo.id);
+      } catch (e) {
+        console.warn("Failed to delete photo:", e);
       }
-    } else if (gameState === "finale") {
-      replayGame();
-    }
+      renderPhotoGallery();
+    });
+
+    actions.append(downloadBtn, deleteBtn);
+    item.append(img, caption, actions);
+    photoGalleryGrid.appendChild(item);
   }
+}
 
-  // B button (gamepad button 1) — signal to sequence runner
-  if (buttonJustPressed(1)) {
-    if (gameState === "level_sequence") {
-      sequenceRunner.signal("key_b");
-    }
+photoEffectInputs.forEach((el) => {
+  el.addEventListener("input", () => photoMode.setEffect(el.dataset.photoEffect, el.valueAsNumber));
+});
+photoFrameBtn.addEventListener("click", cyclePhotoFrame);
+photoCaptureBtn.addEventListener("click", takePhoto);
+photoGalleryBtn.addEventListener("click", openPhotoGallery);
+photoExitBtn.addEventListener("click", exitPhotoMode);
+// Keep keyboard focus off the toolbar, or Enter / arrows would also press and slide it
+photoPanel.addEventListener("pointerup", () => {
+  if (photoPanel.contains(document.activeElement)) document.activeElement.blur();
+});
+photoGalleryCloseBtn.addEventListener("click", closePhotoGallery);
+photoGalleryPanel.addEventListener("click", (e) => {
+  if (e.target === photoGalleryPanel) closePhotoGallery();
+});
+
+// ========================================
+// LANGUAGE
+// ========================================
+
+function renderLocaleSwitcher() {
+  localeSwitcher.innerHTML = "";
+
+  for (const [code, locale] of Object.entries(LOCALES)) {
+    const btn = document.createElement("button");
+    btn.className = "locale-btn" + (code === getLocale() ? " selected" : "");
+    btn.lang = code;
+    btn.textContent = locale.name;
+    btn.addEventListener("click", () => setLocale(code));
+    localeSwitcher.appendChild(btn);
   }
+}
 
-  // X button (gamepad button 2) — jump
-  if (buttonJustPressed(2)) {
-    if (gameState === "level_freeroam") {
-      const active = sceneManager.getActiveScene();
-      if (active && active.jump) active.jump();
-    }
+/** Re-render every visible string in the current language */
+function applyLocale() {
+  applyDomStrings();
+  renderLocaleSwitcher();
+  renderSaveSlots();
+  renderControlsPanel();
+  renderPauseSettings();
+  renderPhotoControls();
+  if (gameState.is("finale")) renderFinaleRecap();
+  updateCaptionsButton();
+  updateHudControls();
+  updateHud();
+  refreshDoorLabels(doors, chapters, chapter => chapterText(chapter, "doorLabel", chapter.doorLabel));
+  if (nearDoorIndex !== null) showDoorCard(nearDoorIndex);
+}
+
+onLocaleChange(applyLocale);
+applyLocale();
+
+// ========================================
+// INPUT ROUTING
+// ========================================
+// Commands named in GAME_STATES (gameState.js). Each state's input
+// table decides which of these an action reaches.
+
+function selectedChoiceButton() {
+  return choiceOptions.querySelectorAll(".choice-btn")[selectedChoiceIndex];
+}
+
+function moveChoiceSelection(step) {
+  const count = choiceOptions.querySelectorAll(".choice-btn").length;
+  selectedChoiceIndex = (selectedChoiceIndex + step + count) % count;
+  updateChoiceHighlight();
+}
+
+gameState.setCommands({
+  startOrContinue: () => {
+    if (!controlsPanel.classList.contains("hidden")) return;
+    if (saveSystem.hasSave()) continueGame();
+    else startGame();
+  },
+  orbitCamera: ({ dx, dy }) => hubController.handleMouseLook(dx, dy),
+  enterDoor: () => enterDoor(),
+  zoomCamera: ({ steps }) => hubController.zoom(steps),
+  levelLook: ({ dx, dy }) => {
+    const active = sceneManager.getActiveScene();
+    if (active && active.handleMouseLook) active.handleMouseLook(dx, dy);
+  },
+  levelZoom: ({ steps }) => {
+    const active = sceneManager.getActiveScene();
+    if (active && active.zoomCamera) active.zoomCamera(steps);
+  },
+  interact: () => {
+    const active = sceneManager.getActiveScene();
+    if (active && active.tryInteract) active.tryInteract();
+  },
+  jump: () => {
+    const active = sceneManager.getActiveScene();
+    if (active && active.jump) active.jump();
+  },
+  sequenceA: () => sequenceRunner.signal("key_a"),
+  sequenceB: () => {
+    // This press answers a "Press B" prompt; holding it on mustn't start a skip
+    if (sequenceRunner.awaitsSignal("key_b")) skipArmed = false;
+    sequenceRunner.signal("key_b");
+  },
+  continueStory: () => continueFromStoryPanel(),
+  pickChoice: () => {
+    const btn = selectedChoiceButton();
+    if (btn) btn.click();
+  },
+  choicePrev: () => moveChoiceSelection(-1),
+  choiceNext: () => moveChoiceSelection(1),
+  resolveResult: () => {
+    if (lastChoiceCorrect) continueAfterCorrectChoice();
+    else retryChapter();
+  },
+  replay: () => replayGame(),
+  recapScrollUp: () => finaleScreen.scrollBy({ top: -RECAP_SCROLL_STEP, behavior: "smooth" }),
+  recapScrollDown: () => finaleScreen.scrollBy({ top: RECAP_SCROLL_STEP, behavior: "smooth" }),
+  toggleCaptions: () => {
+    captions.toggle();
+    updateCaptionsButton();
+  },
+  toggleBacklog: () => captions.toggleBacklog(),
+  pause: () => openPauseMenu(),
+  resume: () => resumeFromPause(),
+  pauseActivate: () => activatePauseItem(),
+  pausePrev: () => movePauseFocus(-1),
+  pauseNext: () => movePauseFocus(1),
+  pauseDecrease: () => nudgePauseItem(-1),
+  pauseIncrease: () => nudgePauseItem(1),
+  enterPhoto: () => enterPhotoMode(),
+  exitPhoto: () => {
+    // Back / Esc closes the gallery before leaving photo mode
+    if (!photoGalleryPanel.classList.contains("hidden")) closePhotoGallery();
+    else exitPhotoMode();
+  },
+  takePhoto: () => takePhoto(),
+  cyclePhotoFrame: () => cyclePhotoFrame(),
+  photoLook: ({ dx, dy }) => photoMode.look(dx, dy),
+  photoZoom: ({ steps }) => photoMode.zoom(steps),
+});
+
+// Leaving a look-enabled state ends any drag in progress
+gameState.onChange(() => {
+  if (!gameState.handles("look")) mouse.dragging = false;
+});
+
+// Skip progress only builds during level_sequence
+gameState.onExit("level_sequence", () => resetSkipHold());
+
+// Arrow keys would otherwise scroll the choice list or double-step sliders
+const NAV_ACTIONS = ["up", "down", "left", "right"];
+window.addEventListener("keydown", (e) => {
+  if (NAV_ACTIONS.some(action => gameState.handles(action) && input.isBound(e.code, action))) e.preventDefault();
+});
+
+// Button actions handed to the state table when pressed
+const ROUTED_ACTIONS = ["confirm", "interact", "jump", "back", "menu", "up", "down", "left", "right", "captions", "backlog", "photo", "photoFrame"];
+
+function dispatchActions() {
+  for (const action of ROUTED_ACTIONS) {
+    if (input.justPressed(action)) gameState.dispatch(action);
   }
+}
 
-  if (buttonJustPressed(12)) {
-    if (gameState === "choice") {
-      const btns = choiceOptions.querySelectorAll(".choice-btn");
-      selectedChoiceIndex =
-        (selectedChoiceIndex - 1 + btns.length) % btns.length;
-      updateChoiceHighlight();
+// ========================================
+// SKIP (hold B during cinematic beats)
+// ========================================
+
+const SKIP_HOLD_TIME = 0.8;
+let skipHoldTime = 0;
+let skipArmed = true; // B must be released between skips, and after answering a B prompt
+
+function updateSkipHold(dt) {
+  const held = input.isDown("back");
+
+  if (!held) {
+    skipHoldTime = 0;
+    skipArmed = true;
+  } else if (skipArmed && sequenceRunner.canSkip()) {
+    skipHoldTime += dt;
+    if (skipHoldTime >= SKIP_HOLD_TIME) {
+      sequenceRunner.skipToInteractive();
+      skipHoldTime = 0;
+      skipArmed = false;
     }
+  } else {
+    skipHoldTime = 0;
   }
 
-  if (buttonJustPressed(13)) {
-    if (gameState === "choice") {
-      const btns = choiceOptions.querySelectorAll(".choice-btn");
-      selectedChoiceIndex = (selectedChoiceIndex + 1) % btns.length;
-      updateChoiceHighlight();
-    }
+  skipIndicator.classList.toggle("hidden", skipHoldTime === 0);
+  skipProgressFill.style.width = `${(skipHoldTime / SKIP_HOLD_TIME) * 100}%`;
+}
+
+function resetSkipHold() {
+  skipHoldTime = 0;
+  skipIndicator.classList.add("hidden");
+}
+
+// ========================================
+// AUTO GRAPHICS SAMPLING
+// ========================================
+
+let sampledScene = null;
+
+/** Feed frame times to auto graphics, restarting whenever a new scene is on screen */
+function sampleFrameTime(dt) {
+  const active = sceneManager.getActiveScene();
+  const visibleScene = active ? active.scene : hubScene;
+  if (visibleScene !== sampledScene) {
+    sampledScene = visibleScene;
+    graphics.beginSampling();
   }
+  // Level loads happen behind the door transition — don't count those frames
+  if (transitionOverlay.classList.contains("hidden")) graphics.sample(dt);
 }
 
 // ========================================
@@ -719,17 +1729,32 @@ function handleGamepadButtons() {
 // ========================================
 
 function update(dt) {
+  // Sample keyboard/mouse/gamepad, then route pressed actions
+  input.poll();
+  dispatchActions();
+
+  // Release or retake pointer lock as overlays come and go
+  pointerLook.update();
+
+  // Paused — the last frame keeps rendering, nothing advances
+  if (gameState.is("paused")) return;
+
+  if (!gameState.is("welcome", "finale")) playTime += dt;
+
+  // Photo mode — the world holds still while the free camera flies
+  if (gameState.is("photo")) {
+    if (photoGalleryPanel.classList.contains("hidden")) photoMode.update(input, dt);
+    return;
+  }
+
+  sampleFrameTime(dt);
+
   elapsedTime += dt;
 
   if (mixer) mixer.update(dt);
 
-  // Handle gamepad buttons (poll → check → save)
-  pollGamepadButtons();
-  handleGamepadButtons();
-  saveButtonState();
-
   // Welcome screen — slow camera dolly down the hallway
-  if (gameState === "welcome") {
+  if (gameState.is("welcome")) {
     const wt = elapsedTime * 0.12;
     hubCamera.position.set(
       Math.sin(wt * 0.3) * 0.5,
@@ -746,25 +1771,17 @@ function update(dt) {
   }
 
   // Level sequence — update the sequence runner
-  if (gameState === "level_sequence") {
+  if (gameState.is("level_sequence")) {
+    updateSkipHold(dt);
     sequenceRunner.update(dt);
     sceneManager.update(dt);
     return;
   }
 
   // Level free-roam — player controls the character in the level
-  if (gameState === "level_freeroam") {
+  if (gameState.is("level_freeroam")) {
     const active = sceneManager.getActiveScene();
-    if (active && active.handleInput) {
-      const gp = getGamepadInput();
-      let inputX = -gp.moveX;
-      let inputZ = -gp.moveY;
-      if (keys.KeyW || keys.ArrowUp) inputZ += 1;
-      if (keys.KeyS || keys.ArrowDown) inputZ -= 1;
-      if (keys.KeyA || keys.ArrowLeft) inputX += 1;
-      if (keys.KeyD || keys.ArrowRight) inputX -= 1;
-      active.handleInput({ inputX, inputZ, lookX: gp.lookX, lookY: gp.lookY }, dt);
-    }
+    if (active && active.handleInput) active.handleInput(input, dt);
     sequenceRunner.update(dt);
     sceneManager.update(dt);
     return;
@@ -778,122 +1795,15 @@ function update(dt) {
 
   // Update door markers in hub
   updateDoorMarkers(markers, currentChapterIndex, visitedChapters, elapsedTime);
+  updateDoors(doors, dt);
 
   // Update dynamic hall lights to follow player
   updateHallwayLights(lights, player.position.z);
 
   // Only process movement during hub state
-  if (gameState !== "hub") return;
-
-  const gp = getGamepadInput();
-
-  let inputX = -gp.moveX;
-  let inputZ = -gp.moveY;
-
-  if (keys.KeyW || keys.ArrowUp) inputZ += 1;
-  if (keys.KeyS || keys.ArrowDown) inputZ -= 1;
-  if (keys.KeyA || keys.ArrowLeft) inputX += 1;
-  if (keys.KeyD || keys.ArrowRight) inputX -= 1;
-
-  inputX = THREE.MathUtils.clamp(inputX, -1, 1);
-  inputZ = THREE.MathUtils.clamp(inputZ, -1, 1);
+  if (!gameState.is("hub")) return;
 
-  // Camera orbit from gamepad
-  if (gp.lookX !== 0 || gp.lookY !== 0) {
-    cameraYaw -= gp.lookX * CAM_STICK_SENSITIVITY * dt;
-    cameraPitch = THREE.MathUtils.clamp(
-      cameraPitch - gp.lookY * CAM_STICK_SENSITIVITY * dt,
-      0.1,
-      1.0
-    );
-  }
-
-  // Movement direction (camera-relative)
-  _moveDir.set(inputX, 0, inputZ);
-  const moveLength = Math.min(_moveDir.length(), 1);
-  const wasWalking = isWalking;
-
-  if (moveLength > 0) {
-    _moveDir.normalize();
-    _moveDir.applyAxisAngle(_upAxis, -cameraYaw);
-    _moveDir.multiplyScalar(MOVE_SPEED * moveLength);
-    playerVelocity.lerp(_moveDir, 1 - Math.exp(-MOVE_ACCEL * dt));
-
-    const targetRotation = Math.atan2(
-      playerVelocity.x,
-      playerVelocity.z
-    );
-    // Use angle wrapping to prevent spinning through the long way around
-    let angleDiff = targetRotation - player.rotation.y;
-    while (angleDiff > Math.PI) angleDiff -= Math.PI * 2;
-    while (angleDiff < -Math.PI) angleDiff += Math.PI * 2;
-    player.rotation.y += angleDiff * (1 - Math.exp(-TURN_SPEED * dt));
-
-    isWalking = true;
-  } else {
-    playerVelocity.lerp(_zeroVec, 1 - Math.exp(-MOVE_DECEL * dt));
-    isWalking = false;
-  }
-
-  // Walking animation
-  if (walkAction) {
-    if (isWalking && !wasWalking) {
-      walkAction.reset();
-      walkAction.fadeIn(0.2);
-      walkAction.play();
-    } else if (!isWalking && wasWalking) {
-      walkAction.fadeOut(0.3);
-    }
-  }
-
-  // Apply velocity
-  _velDelta.copy(playerVelocity).multiplyScalar(dt);
-  player.position.add(_velDelta);
-
-  // Clamp player to hallway bounds
-  player.position.x = THREE.MathUtils.clamp(
-    player.position.x,
-    HALLWAY_BOUNDS.minX,
-    HALLWAY_BOUNDS.maxX
-  );
-  player.position.z = THREE.MathUtils.clamp(
-    player.position.z,
-    HALLWAY_BOUNDS.minZ,
-    HALLWAY_BOUNDS.maxZ
-  );
-
-  // Check door triggers
-  const nextChapter = chapters[currentChapterIndex];
-  if (nextChapter) {
-    const doorPos = getDoorPosition(currentChapterIndex);
-
-    const dx = player.position.x - doorPos.x;
-    const dz = player.position.z - doorPos.z;
-    const dist = Math.sqrt(dx * dx + dz * dz);
-
-    if (dist < DOOR_TRIGGER_RADIUS) {
-      enterLevel(currentChapterIndex);
-    }
-  }
-
-  // Update camera — constrain yaw for hallway
-  cameraYaw = THREE.MathUtils.clamp(cameraYaw, -Math.PI * 0.4, Math.PI * 0.4);
-
-  const camX =
-    Math.sin(cameraYaw) * Math.cos(cameraPitch) * CAM_DISTANCE;
-  const camY = CAM_HEIGHT + Math.sin(cameraPitch) * CAM_DISTANCE * 0.5;
-  const camZ =
-    -Math.cos(cameraYaw) * Math.cos(cameraPitch) * CAM_DISTANCE;
-
-  _camTarget.copy(player.position);
-  _camTarget.x += camX;
-  _camTarget.y += camY;
-  _camTarget.z += camZ;
-  hubCamera.position.lerp(_camTarget, 1 - Math.exp(-CAM_SMOOTHING * dt));
-
-  _lookTarget.copy(player.position);
-  _lookTarget.y += CAM_LOOKAT_HEIGHT;
-  hubCamera.lookAt(_lookTarget);
+  hubController.update(input, dt);
 }
 
 // ========================================
@@ -906,7 +1816,11 @@ function loop(now) {
   lastTime = now;
 
   update(dt);
-  sceneManager.render();
+  if (photoMode.active) photoMode.render();
+  else sceneManager.render();
+
+  const active = sceneManager.getActiveScene();
+  audio.update(active ? active.camera : hubCamera);
   requestAnimationFrame(loop);
 }
 requestAnimationFrame(loop);
@@ -925,4 +1839,5 @@ window.addEventListener("resize", () => {
   }
 
   renderer.setSize(window.innerWidth, window.innerHeight);
+  photoMode.resize(window.innerWidth, window.innerHeight);
 });
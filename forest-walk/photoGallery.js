@@ -0,0 +1,84 @@
+// ========================================
+// PHOTO GALLERY — Photo mode shots kept on this device
+// ========================================
+// Full-resolution PNGs are far too big for localStorage, so photos live
+// in IndexedDB as Blobs along with when and where they were taken. Only
+// the newest MAX_PHOTOS are kept.
+
+const DB_NAME = "our-story-photos";
+const STORE = "photos";
+const MAX_PHOTOS = 24;
+
+/** Resolve with an IDBRequest's result once it succeeds */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export class PhotoGallery {
+  constructor() {
+    this.db = null; // Promise<IDBDatabase>, opened on first use
+  }
+
+  /**
+   * Store a photo. `chapterIndex` is null for the hallway.
+   * @returns {Promise<number>} the new photo's id
+   */
+  async add(blob, { chapterIndex = null } = {}) {
+    const store = await this._store("readwrite");
+    const id = await promisify(store.add({ blob, chapterIndex, takenAt: Date.now() }));
+
+    // Drop the oldest photos beyond the limit
+    const keys = await promisify(store.getAllKeys());
+    for (const key of keys.slice(0, Math.max(0, keys.length - MAX_PHOTOS))) store.delete(key);
+    return id;
+  }
+
+  /** Every stored photo, newest first: [{ id, blob, chapterIndex, takenAt }] */
+  async list() {
+    const store = await this._store("readonly");
+    const photos = await promisify(store.getAll());
+    return photos.reverse();
+  }
+
+  async remove(id) {
+    const store = await this._store("readwrite");
+    await promisify(store.delete(id));
+  }
+
+  /** Download a photo as a .png file */
+  download(photo) {
+    const url = URL.createObjectURL(photo.blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `our-story-photo-${photo.id}.png`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  // ========================================
+  // STORAGE HELPERS
+  // ========================================
+
+  _open() {
+    if (!this.db) {
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE, { keyPath: "id", autoIncrement: true });
+      };
+      this.db = promisify(request);
+      // Let the next call try again instead of caching the failure
+      this.db.catch(() => (this.db = null));
+    }
+    return this.db;
+  }
+
+  async _store(mode) {
+    const db = await this._open();
+    return db.transaction(STORE, mode).objectStore(STORE);
+  }
+}
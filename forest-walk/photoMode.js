@@ -0,0 +1,333 @@
+// ========================================
+// PHOTO MODE — Free camera, effects, frames and PNG capture
+// ========================================
+// While main.js holds the game in the "photo" state (nothing else
+// updates), the scene's own camera is flown freely inside a Box3 and
+// put back exactly where it was on exit. Rendering goes through a
+// postprocessing pipeline with exposure, vignette and bloom enabled:
+// the level's own pipeline if it has one, otherwise a temporary one
+// (the hub normally draws straight to the screen). levelUtils.js is
+// only imported for that temporary pipeline, so it and postprocessing
+// stay in the level chunk until a hub photo needs them.
+//
+// Frames are drawn on a 2D canvas over the viewport, and the same
+// drawing is stamped onto captures, so the preview matches the PNG.
+
+import * as THREE from "three";
+
+const FLY_SPEED = 4.0; // units per second at full stick
+const MOUSE_SENSITIVITY = 0.003;
+const STICK_LOOK_SPEED = 2.0; // radians per second at full stick
+const PITCH_LIMIT = Math.PI * 0.47;
+const FOV_LIMITS = [20, 90];
+const ZOOM_FACTOR = 1.05;
+const FALLBACK_EXTENT = 10; // bounds around the start point when the scene has none
+const CAPTURE_LONG_EDGE = 3840; // px along the longer side of a capture
+
+/** Slider ranges for the photo toolbar */
+export const PHOTO_EFFECTS = {
+  exposure: { min: 0.25, max: 2.5, step: 0.05 },
+  vignette: { min: 0, max: 1, step: 0.05 },
+  bloom: { min: 0, max: 3, step: 0.1 },
+};
+
+// ========================================
+// FRAMES
+// ========================================
+
+const GOLD = "#c4a35a";
+const CREAM = "#f5f0e8";
+
+/** Overlay drawers, each (ctx, width, height) in canvas pixels */
+const FRAMES = {
+  none: () => {},
+
+  polaroid(ctx, width, height) {
+    const side = Math.min(width, height) * 0.04;
+    const bottom = Math.min(width, height) * 0.14;
+    ctx.fillStyle = CREAM;
+    ctx.fillRect(0, 0, width, side);
+    ctx.fillRect(0, height - bottom, width, bottom);
+    ctx.fillRect(0, 0, side, height);
+    ctx.fillRect(width - side, 0, side, height);
+
+    ctx.fillStyle = "#5c4a3a";
+    ctx.font = `${Math.round(bottom * 0.3)}px 'Fredoka One', cursive`;
+    ctx.textAlign = "right";
+    ctx.textBaseline = "middle";
+    ctx.fillText(new Date().toLocaleDateString(), width - side * 1.5, height - bottom / 2);
+  },
+
+  cinema(ctx, width, height) {
+    // Letterbox to 2.39:1
+    const bar = Math.max(0, (height - width / 2.39) / 2);
+    ctx.fillStyle = "#000";
+    ctx.fillRect(0, 0, width, bar);
+    ctx.fillRect(0, height - bar, width, bar);
+  },
+
+  hotel(ctx, width, height) {
+    const unit = Math.min(width, height) * 0.01;
+    ctx.strokeStyle = GOLD;
+    ctx.lineWidth = unit * 0.8;
+    ctx.strokeRect(unit * 2, unit * 2, width - unit * 4, height - unit * 4);
+    ctx.lineWidth = unit * 0.3;
+    ctx.strokeRect(unit * 3.5, unit * 3.5, width - unit * 7, height - unit * 7);
+  },
+};
+
+export const FRAME_NAMES = Object.keys(FRAMES);
+
+export class PhotoMode {
+  /**
+   * @param {THREE.WebGLRenderer} renderer
+   * @param {HTMLCanvasElement} overlay — viewport-sized canvas the frame preview is drawn on
+   */
+  constructor(renderer, overlay) {
+    this.renderer = renderer;
+    this.overlay = overlay;
+    this.active = false;
+    this.entering = false; // loading the pipeline module; exit() cancels
+
+    this.camera = null;
+    this.saved = null; // camera position/rotation/fov to restore on exit
+    this.bounds = new THREE.Box3();
+    this.yaw = 0;
+    this.pitch = 0;
+
+    this.pp = null; // pipeline photos are rendered through
+    this.ownPipeline = false; // true when created here (and disposed on exit)
+    this.baseEffects = null; // the level pipeline's effects before photo mode
+    this.frame = "none";
+
+    this.mouseScale = 1;
+    this.stickScale = 1;
+    this.invertY = false;
+
+    this._move = new THREE.Vector3();
+    this._right = new THREE.Vector3();
+  }
+
+  /** Same shape as PlayerController.applySettings */
+  applySettings({ mouseSensitivity = 1, stickSensitivity = 1, invertY = false } = {}) {
+    this.mouseScale = mouseSensitivity;
+    this.stickScale = stickSensitivity;
+    this.invertY = invertY;
+  }
+
+  /**
+   * Take over a scene's camera. Resolves once photo mode is active, or
+   * without activating if exit() is called while the pipeline loads.
+   * @param {{ scene: THREE.Scene, camera: THREE.PerspectiveCamera,
+   *           postprocessing?: Object, effects: Object, bounds?: THREE.Box3 }} view
+   *   postprocessing — the level's createPostprocessing() pipeline, if any;
+   *   effects — the graphics preset's postprocessing settings
+   * @returns {Promise<void>}
+   */
+  async enter({ scene, camera, postprocessing = null, effects, bounds = null }) {
+    if (this.active || this.entering) return;
+
+    let createPostprocessing = null;
+    if (!postprocessing) {
+      this.entering = true;
+      ({ createPostprocessing } = await import("./levels/levelUtils.js"));
+      if (!this.entering) return;
+      this.entering = false;
+    }
+
+    this.active = true;
+    this.camera = camera;
+    this.saved = {
+      position: camera.position.clone(),
+      quaternion: camera.quaternion.clone(),
+      order: camera.rotation.order,
+      fov: camera.fov,
+    };
+
+    const euler = new THREE.Euler().setFromQuaternion(camera.quaternion, "YXZ");
+    this.yaw = euler.y;
+    this.pitch = euler.x;
+    camera.rotation.order = "YXZ";
+
+    if (bounds) {
+      this.bounds.copy(bounds);
+    } else {
+      const extent = new THREE.Vector3().setScalar(FALLBACK_EXTENT);
+      this.bounds.set(camera.position.clone().sub(extent), camera.position.clone().add(extent));
+    }
+    this.bounds.clampPoint(camera.position, camera.position);
+
+    // Every effect on, starting from what the preset shows during play
+    const photoEffects = { ...effects, bloom: true, vignette: true, exposure: true };
+    if (postprocessing) {
+      this.pp = postprocessing;
+      this.ownPipeline = false;
+      this.baseEffects = effects;
+      this.pp.setEffects(photoEffects);
+    } else {
+      this.pp = createPostprocessing(this.renderer, scene, camera, { ...photoEffects, toneMapping: true });
+      this.ownPipeline = true;
+    }
+    if (!effects.bloom) this.pp.bloom.intensity = 0;
+    if (!effects.vignette) this.pp.vignette.darkness = 0;
+
+    this.resize(window.innerWidth, window.innerHeight);
+  }
+
+  /** Put the camera and effects back the way they were */
+  exit() {
+    this.entering = false;
+    if (!this.active) return;
+    this.active = false;
+
+    const { position, quaternion, order, fov } = this.saved;
+    this.camera.rotation.order = order;
+    this.camera.position.copy(position);
+    this.camera.quaternion.copy(quaternion);
+    this.camera.fov = fov;
+    this.camera.updateProjectionMatrix();
+
+    if (this.ownPipeline) this.pp.dispose();
+    else this.pp.setEffects(this.baseEffects);
+    this.pp = null;
+    this.camera = null;
+    this.saved = null;
+    this.setFrame("none");
+  }
+
+  // ========================================
+  // FREE CAMERA
+  // ========================================
+
+  /** Fly with the move input, turn with the look stick. Call once per frame. */
+  update(input, dt) {
+    if (!this.active) return;
+
+    const look = input.getLook();
+    this.turn(
+      look.x * STICK_LOOK_SPEED * this.stickScale * dt,
+      look.y * STICK_LOOK_SPEED * this.stickScale * dt
+    );
+
+    // Forward follows the view, so looking down and moving forward descends
+    const move = input.getMove();
+    this.camera.getWorldDirection(this._move).multiplyScalar(move.z);
+    this._right.set(1, 0, 0).applyQuaternion(this.camera.quaternion).multiplyScalar(-move.x);
+    this._move.add(this._right);
+    if (this._move.lengthSq() > 1) this._move.normalize();
+
+    this.camera.position.addScaledVector(this._move, FLY_SPEED * dt);
+    this.bounds.clampPoint(this.camera.position, this.camera.position);
+  }
+
+  /** Mouse or touch drag, in pixels */
+  look(dx, dy) {
+    if (!this.active) return;
+    this.turn(dx * MOUSE_SENSITIVITY * this.mouseScale, dy * MOUSE_SENSITIVITY * this.mouseScale);
+  }
+
+  /** Rotate by (right, down) radians */
+  turn(right, down) {
+    this.yaw -= right;
+    this.pitch = THREE.MathUtils.clamp(
+      this.pitch - down * (this.invertY ? -1 : 1),
+      -PITCH_LIMIT, PITCH_LIMIT
+    );
+    this.camera.rotation.set(this.pitch, this.yaw, 0);
+  }
+
+  /** Wheel — positive steps widen the field of view */
+  zoom(steps) {
+    if (!this.active) return;
+    this.camera.fov = THREE.MathUtils.clamp(
+      this.camera.fov * Math.pow(ZOOM_FACTOR, steps),
+      FOV_LIMITS[0], FOV_LIMITS[1]
+    );
+    this.camera.updateProjectionMatrix();
+  }
+
+  // ========================================
+  // EFFECTS & FRAMES
+  // ========================================
+
+  /** Current slider values: { exposure, vignette, bloom } */
+  getEffects() {
+    return {
+      exposure: this.pp.exposure.exposure,
+      vignette: this.pp.vignette.darkness,
+      bloom: this.pp.bloom.intensity,
+    };
+  }
+
+  setEffect(name, value) {
+    if (!this.active || !PHOTO_EFFECTS[name]) return;
+    const { min, max } = PHOTO_EFFECTS[name];
+    value = THREE.MathUtils.clamp(value, min, max);
+    if (name === "exposure") this.pp.exposure.exposure = value;
+    if (name === "vignette") this.pp.vignette.darkness = value;
+    if (name === "bloom") this.pp.bloom.intensity = value;
+  }
+
+  setFrame(name) {
+    this.frame = FRAMES[name] ? name : "none";
+    this.drawOverlay();
+  }
+
+  cycleFrame(step = 1) {
+    const index = FRAME_NAMES.indexOf(this.frame);
+    this.setFrame(FRAME_NAMES[(index + step + FRAME_NAMES.length) % FRAME_NAMES.length]);
+  }
+
+  drawOverlay() {
+    const ctx = this.overlay.getContext("2d");
+    ctx.clearRect(0, 0, this.overlay.width, this.overlay.height);
+    FRAMES[this.frame](ctx, this.overlay.width, this.overlay.height);
+  }
+
+  // ========================================
+  // RENDER & CAPTURE
+  // ========================================
+
+  render() {
+    this.pp.render();
+  }
+
+  resize(width, height) {
+    const ratio = window.devicePixelRatio;
+    this.overlay.width = Math.round(width * ratio);
+    this.overlay.height = Math.round(height * ratio);
+    this.drawOverlay();
+    if (this.active) this.pp.setSize(width, height);
+  }
+
+  /**
+   * Render the current view at high resolution with the frame on top.
+   * @returns {Promise<Blob>} PNG
+   */
+  capture() {
+    const width = window.innerWidth;
+    const height = window.innerHeight;
+    const longEdge = Math.min(CAPTURE_LONG_EDGE, this.renderer.capabilities.maxTextureSize);
+    const previousRatio = this.renderer.getPixelRatio();
+
+    // Draw one oversized frame and copy it before the browser clears it
+    this.renderer.setPixelRatio(longEdge / Math.max(width, height));
+    this.pp.setSize(width, height);
+    this.render();
+
+    const source = this.renderer.domElement;
+    const canvas = document.createElement("canvas");
+    canvas.width = source.width;
+    canvas.height = source.height;
+    const ctx = canvas.getContext("2d");
+    ctx.drawImage(source, 0, 0);
+    FRAMES[this.frame](ctx, canvas.width, canvas.height);
+
+    this.renderer.setPixelRatio(previousRatio);
+    this.pp.setSize(width, height);
+
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error("PNG encoding failed"))), "image/png");
+    });
+  }
+}
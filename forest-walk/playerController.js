@@ -1,8 +1,10 @@
 // ========================================
-// PLAYER CONTROLLER — Free-roam movement for levels
+// PLAYER CONTROLLER — Free-roam movement for the hub and levels
 // ========================================
 // Handles movement, camera follow, AABB collision,
-// ground raycasting, jumping, and animation management.
+// ground raycasting, jumping, trigger zones and animation management.
+// Scene-specific behaviour (camera rig, yaw clamp, colliders, triggers)
+// comes in through the config — see getHubPlayerConfig() in hub.js.
 
 import * as THREE from "three";
 
@@ -15,6 +17,8 @@ const _velDelta = new THREE.Vector3();
 const _rayOrigin = new THREE.Vector3();
 const _rayDown = new THREE.Vector3(0, -1, 0);
 
+const ZOOM_FACTOR = 1.1; // camera distance multiplier per wheel notch
+
 const DEFAULTS = {
   moveSpeed: 4.0,
   moveAccel: 15.0,
@@ -27,6 +31,8 @@ const DEFAULTS = {
   camStickSensitivity: 3.0,
   mouseSensitivity: 0.004,
   yawClamp: null, // null = full rotation, [min, max] to clamp
+  zoomLimits: null, // null = fixed camDistance, [min, max] for wheel zoom
+  triggers: [], // [{ x, z, radius, ... }] — reported through onTriggerEnter/onTriggerExit
 };
 
 export class PlayerController {
@@ -38,11 +44,16 @@ export class PlayerController {
     this.walkAction = config.walkAction || null;
 
     this.bounds = config.bounds || null; // { minX, maxX, minZ, maxZ }
-    this.colliders = []; // Array of THREE.Box3
+    this.colliders = [...(config.colliders || [])]; // Array of THREE.Box3
 
     // Config
     this.cfg = { ...DEFAULTS, ...config };
 
+    // Trigger zones
+    this.onTriggerEnter = config.onTriggerEnter || null; // (trigger) → void
+    this.onTriggerExit = config.onTriggerExit || null; // (trigger) → void
+    this.insideTriggers = new Set();
+
     // State
     this.velocity = new THREE.Vector3();
     this.yaw = config.initialYaw || 0;
@@ -50,6 +61,12 @@ export class PlayerController {
     this.isWalking = false;
     this.enabled = false;
 
+    // Player settings (pause menu) — multipliers on the cfg rates
+    this.mouseScale = 1;
+    this.stickScale = 1;
+    this.invertY = false;
+    this.fov = null; // null = keep the camera's own FOV
+
     // Ground following (raycasting)
     this.groundRaycaster = new THREE.Raycaster();
     this.groundRaycaster.far = 50;
@@ -68,6 +85,7 @@ export class PlayerController {
     this.animations = {};
     this.currentAnimation = null;
     this.currentAnimationName = '';
+    this.currentAnimationLoop = true;
   }
 
   enable() {
@@ -85,6 +103,14 @@ export class PlayerController {
     this.velocity.set(0, 0, 0);
   }
 
+  /** Apply pause-menu settings: { mouseSensitivity, stickSensitivity, invertY, fov } */
+  applySettings({ mouseSensitivity = 1, stickSensitivity = 1, invertY = false, fov = null } = {}) {
+    this.mouseScale = mouseSensitivity;
+    this.stickScale = stickSensitivity;
+    this.invertY = invertY;
+    this.fov = fov;
+  }
+
   setBounds(bounds) {
     this.bounds = bounds;
   }
@@ -147,6 +173,7 @@ export class PlayerController {
 
     this.currentAnimation = newAction;
     this.currentAnimationName = name;
+    this.currentAnimationLoop = loop;
   }
 
   stopAnimation(fadeDuration = 0.3) {
@@ -159,9 +186,10 @@ export class PlayerController {
 
   handleMouseLook(dx, dy) {
     if (!this.enabled) return;
-    this.yaw -= dx * this.cfg.mouseSensitivity;
+    const sensitivity = this.cfg.mouseSensitivity * this.mouseScale;
+    this.yaw -= dx * sensitivity;
     this.pitch = THREE.MathUtils.clamp(
-      this.pitch - dy * this.cfg.mouseSensitivity,
+      this.pitch - dy * sensitivity * (this.invertY ? -1 : 1),
       0.1, 1.0
     );
     if (this.cfg.yawClamp) {
@@ -169,6 +197,16 @@ export class PlayerController {
     }
   }
 
+  /** Wheel zoom — positive steps pull the camera back, within cfg.zoomLimits */
+  zoom(steps) {
+    if (!this.enabled || !this.cfg.zoomLimits) return;
+    const [min, max] = this.cfg.zoomLimits;
+    this.cfg.camDistance = THREE.MathUtils.clamp(
+      this.cfg.camDistance * Math.pow(ZOOM_FACTOR, steps),
+      min, max
+    );
+  }
+
   /**
    * Ground raycasting + jump physics
    */
@@ -215,20 +253,52 @@ export class PlayerController {
   }
 
   /**
-   * Main update — call each frame with pre-processed input
-   * @param {{ inputX: number, inputZ: number, lookX: number, lookY: number }} input
+   * Report triggers the player has just stepped into or out of (edge, not level)
+   */
+  _updateTriggers() {
+    for (const trigger of this.cfg.triggers) {
+      const inside = this._inTrigger(trigger);
+      if (inside && !this.insideTriggers.has(trigger)) {
+        this.insideTriggers.add(trigger);
+        if (this.onTriggerEnter) this.onTriggerEnter(trigger);
+      } else if (!inside && this.insideTriggers.has(trigger)) {
+        this.insideTriggers.delete(trigger);
+        if (this.onTriggerExit) this.onTriggerExit(trigger);
+      }
+    }
+  }
+
+  _inTrigger(trigger) {
+    const p = this.player.position;
+    return Math.hypot(p.x - trigger.x, p.z - trigger.z) < trigger.radius;
+  }
+
+  /**
+   * Re-read which triggers the player stands in without firing enter or
+   * exit — for after the player is placed by hand. Returns those triggers.
+   */
+  syncTriggers() {
+    this.insideTriggers = new Set(this.cfg.triggers.filter(trigger => this._inTrigger(trigger)));
+    return [...this.insideTriggers];
+  }
+
+  /**
+   * Main update — call each frame with the input action layer
+   * @param {{ getMove(): { x, z }, getLook(): { x, y } }} input — InputActions
    * @param {number} dt
    */
   update(input, dt) {
     if (!this.enabled) return;
 
-    const { inputX, inputZ, lookX, lookY } = input;
+    const move = input.getMove();
+    const look = input.getLook();
 
     // Gamepad camera orbit
-    if (lookX !== 0 || lookY !== 0) {
-      this.yaw -= lookX * this.cfg.camStickSensitivity * dt;
+    if (look.x !== 0 || look.y !== 0) {
+      const sensitivity = this.cfg.camStickSensitivity * this.stickScale;
+      this.yaw -= look.x * sensitivity * dt;
       this.pitch = THREE.MathUtils.clamp(
-        this.pitch - lookY * this.cfg.camStickSensitivity * dt,
+        this.pitch - look.y * sensitivity * (this.invertY ? -1 : 1) * dt,
         0.1, 1.0
       );
     }
@@ -238,7 +308,7 @@ export class PlayerController {
     }
 
     // Movement direction (camera-relative)
-    _moveDir.set(inputX, 0, inputZ);
+    _moveDir.set(move.x, 0, move.z);
     const moveLength = Math.min(_moveDir.length(), 1);
     const wasWalking = this.isWalking;
 
@@ -306,6 +376,14 @@ export class PlayerController {
     // Ground following + jump physics
     this._updateGroundHeight(dt);
 
+    this._updateTriggers();
+
+    // Free-roam uses the player's FOV; cutscene cameras keep their own
+    if (this.fov && this.camera.fov !== this.fov) {
+      this.camera.fov = this.fov;
+      this.camera.updateProjectionMatrix();
+    }
+
     // Camera follow
     const camX = Math.sin(this.yaw) * Math.cos(this.pitch) * this.cfg.camDistance;
     const camY = this.cfg.camHeight + Math.sin(this.pitch) * this.cfg.camDistance * 0.5;
@@ -0,0 +1,75 @@
+// ========================================
+// POINTER LOOK — Optional pointer-lock mouse look
+// ========================================
+// When enabled, clicking the canvas locks the pointer and raw mouse
+// movement drives the camera without holding a button. main.js says
+// when locking is allowed (canLock); whenever it stops being allowed —
+// a story panel, choice, phone or computer overlay, the pause menu —
+// the lock is released, and taken back once the overlay closes.
+// Without pointer lock, the drag-to-look in main.js works as before.
+
+export class PointerLook {
+  /**
+   * @param {HTMLElement} element — the canvas to lock to
+   * @param {{ onLook: (dx: number, dy: number) => void, canLock: () => boolean }} options
+   */
+  constructor(element, { onLook, canLock }) {
+    this.element = element;
+    this.onLook = onLook;
+    this.canLock = canLock;
+    this.enabled = false;
+    this.suspended = false; // released by us for an overlay; re-lock when it closes
+
+    element.addEventListener("click", () => {
+      if (this.enabled && !this.locked && this.canLock()) this.lock();
+    });
+
+    document.addEventListener("mousemove", (e) => {
+      if (this.locked) this.onLook(e.movementX, e.movementY);
+    });
+  }
+
+  get locked() {
+    return document.pointerLockElement === this.element;
+  }
+
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    if (!enabled) {
+      this.suspended = false;
+      this.unlock();
+    }
+  }
+
+  /**
+   * Call once per frame: release for overlays, re-lock when they close.
+   * A lock the browser dropped itself (Escape) leaves `suspended` false,
+   * so it stays off until the next click.
+   */
+  update() {
+    if (!this.enabled) return;
+
+    const allowed = this.canLock();
+    if (this.locked && !allowed) {
+      this.suspended = true;
+      this.unlock();
+    } else if (this.suspended && allowed) {
+      this.suspended = false;
+      // Browsers may refuse without a fresh click; the click handler covers that
+      this.lock();
+    }
+  }
+
+  lock() {
+    try {
+      const request = this.element.requestPointerLock();
+      if (request && request.catch) request.catch(() => {});
+    } catch (e) {
+      // Not supported or refused — drag-to-look still works
+    }
+  }
+
+  unlock() {
+    if (this.locked) document.exitPointerLock();
+  }
+}
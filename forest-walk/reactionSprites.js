@@ -0,0 +1,259 @@
+// ========================================
+// REACTION SPRITES — Registry of "!" style icons
+// ========================================
+// Reaction beats pop a small card above a character. Each kind is
+// defined once here (or registered by a level / chapter) either as a
+// canvas draw function, a text glyph, or an image texture. Textures
+// are built on first use and shared by every sprite of that kind.
+//
+// Definition shapes:
+//   { glyph: "?", color: "#3a7bd5", font: "bold 64px Arial" }
+//   { draw(ctx, size) { ... } }          — drawn on top of the card
+//   { image: "/images/wink.png" }        — replaces the card entirely
+// Optional: card: false to skip the white card behind glyph/draw kinds,
+// caption: "surprised" to describe the reaction on the caption track.
+
+import * as THREE from "three";
+
+const CANVAS_SIZE = 128;
+const FALLBACK_KIND = "surprise";
+
+const definitions = new Map();
+const textureCache = new Map();
+const warnedKinds = new Set();
+const textureLoader = new THREE.TextureLoader();
+
+// ========================================
+// REGISTRY
+// ========================================
+
+/** Add or replace a reaction kind. Drops any cached texture for it. */
+export function registerReaction(kind, definition) {
+  if (!definition || !(definition.glyph || definition.draw || definition.image)) {
+    console.warn(`Reaction "${kind}" needs a glyph, draw function or image`);
+    return;
+  }
+  definitions.set(kind, definition);
+
+  const cached = textureCache.get(kind);
+  if (cached) {
+    cached.dispose();
+    textureCache.delete(kind);
+  }
+}
+
+/** Register several kinds at once, e.g. from a chapter's `reactions` map */
+export function registerReactions(map) {
+  if (!map) return;
+  Object.entries(map).forEach(([kind, definition]) => registerReaction(kind, definition));
+}
+
+export function hasReaction(kind) {
+  return definitions.has(kind);
+}
+
+/** Caption cue text for a kind, or null */
+export function getReactionCaption(kind) {
+  return definitions.get(kind)?.caption || null;
+}
+
+/** Create a sprite for a reaction kind. Only the material is per-sprite. */
+export function createReactionSprite(kind) {
+  const material = new THREE.SpriteMaterial({
+    map: getReactionTexture(kind),
+    transparent: true,
+  });
+  return new THREE.Sprite(material);
+}
+
+function getReactionTexture(kind) {
+  if (!definitions.has(kind)) {
+    if (!warnedKinds.has(kind)) {
+      console.warn(`Unknown reaction "${kind}", using "${FALLBACK_KIND}"`);
+      warnedKinds.add(kind);
+    }
+    kind = FALLBACK_KIND;
+  }
+
+  let texture = textureCache.get(kind);
+  if (!texture) {
+    texture = buildTexture(definitions.get(kind));
+    textureCache.set(kind, texture);
+  }
+  return texture;
+}
+
+function buildTexture(def) {
+  if (def.image) {
+    return textureLoader.load(def.image, undefined, undefined, (err) => {
+      console.warn(`Failed to load reaction image ${def.image}:`, err);
+    });
+  }
+
+  const canvas = document.createElement("canvas");
+  canvas.width = CANVAS_SIZE;
+  canvas.height = CANVAS_SIZE;
+  const ctx = canvas.getContext("2d");
+
+  if (def.card !== false) drawCard(ctx);
+
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+
+  if (def.draw) {
+    def.draw(ctx, CANVAS_SIZE);
+  } else {
+    ctx.fillStyle = def.color || "#e74c3c";
+    ctx.font = def.font || "bold 64px Arial";
+    ctx.fillText(def.glyph, CANVAS_SIZE / 2, CANVAS_SIZE / 2);
+  }
+
+  return new THREE.CanvasTexture(canvas);
+}
+
+/** White rounded card with a brown border, shared by built-in kinds */
+function drawCard(ctx) {
+  ctx.fillStyle = "#ffffff";
+  roundRect(ctx, 24, 12, 80, 104, 14);
+  ctx.fill();
+
+  ctx.strokeStyle = "#5c4a3a";
+  ctx.lineWidth = 3;
+  roundRect(ctx, 24, 12, 80, 104, 14);
+  ctx.stroke();
+}
+
+function roundRect(ctx, x, y, w, h, r) {
+  ctx.beginPath();
+  ctx.moveTo(x + r, y);
+  ctx.lineTo(x + w - r, y);
+  ctx.quadraticCurveTo(x + w, y, x + w, y + r);
+  ctx.lineTo(x + w, y + h - r);
+  ctx.quadraticCurveTo(x + w, y + h, x + w - r, y + h);
+  ctx.lineTo(x + r, y + h);
+  ctx.quadraticCurveTo(x, y + h, x, y + h - r);
+  ctx.lineTo(x, y + r);
+  ctx.quadraticCurveTo(x, y, x + r, y);
+  ctx.closePath();
+}
+
+// ========================================
+// BUILT-IN KINDS
+// ========================================
+
+registerReaction("surprise", { glyph: "!", color: "#e74c3c", font: "bold 64px Arial", caption: "surprised" });
+registerReaction("heart", { glyph: "\u2764", color: "#e74c3c", font: "56px Arial", caption: "heart flutters" });
+registerReaction("music", { glyph: "\u266B", color: "#5c4a3a", font: "56px Arial", caption: "humming" });
+registerReaction("question", { glyph: "?", color: "#3a7bd5", font: "bold 64px Arial", caption: "confused" });
+
+registerReaction("laugh", {
+  caption: "laughs",
+  draw(ctx, size) {
+    ctx.fillStyle = "#e6a23c";
+    ctx.font = "bold 30px Arial";
+    ctx.save();
+    ctx.translate(size / 2, size / 2);
+    ctx.rotate(-0.15);
+    ctx.fillText("HA", 0, -14);
+    ctx.fillText("HA", 4, 18);
+    ctx.restore();
+  },
+});
+
+registerReaction("sweat", {
+  caption: "nervous",
+  draw(ctx, size) {
+    // Teardrop: pointed top, round bottom
+    const cx = size / 2;
+    ctx.fillStyle = "#6ec6f0";
+    ctx.strokeStyle = "#3a8fc1";
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.moveTo(cx, 30);
+    ctx.quadraticCurveTo(cx + 24, 66, cx + 20, 80);
+    ctx.arc(cx, 78, 20, 0.1, Math.PI - 0.1);
+    ctx.quadraticCurveTo(cx - 24, 66, cx, 30);
+    ctx.fill();
+    ctx.stroke();
+  },
+});
+
+registerReaction("sparkle", {
+  caption: "delighted",
+  draw(ctx, size) {
+    const star = (x, y, r) => {
+      ctx.beginPath();
+      ctx.moveTo(x, y - r);
+      ctx.quadraticCurveTo(x, y, x + r, y);
+      ctx.quadraticCurveTo(x, y, x, y + r);
+      ctx.quadraticCurveTo(x, y, x - r, y);
+      ctx.quadraticCurveTo(x, y, x, y - r);
+      ctx.fill();
+    };
+    ctx.fillStyle = "#f5c518";
+    star(size / 2 - 6, size / 2 + 6, 28);
+    star(size / 2 + 20, size / 2 - 24, 12);
+  },
+});
+
+registerReaction("zzz", {
+  caption: "bored",
+  draw(ctx, size) {
+    ctx.fillStyle = "#7a6cc4";
+    ctx.font = "bold 22px Arial";
+    ctx.fillText("z", size / 2 - 16, size / 2 + 26);
+    ctx.font = "bold 30px Arial";
+    ctx.fillText("z", size / 2, size / 2 + 2);
+    ctx.font = "bold 40px Arial";
+    ctx.fillText("Z", size / 2 + 14, size / 2 - 28);
+  },
+});
+
+// ========================================
+// ANIMATION PRESETS
+// ========================================
+// Each preset maps (elapsed, duration) to { scale, y, rotation, opacity }.
+// y is added to the anchor height, rotation spins the sprite in screen space.
+
+function shrinkAtEnd(elapsed, duration) {
+  return elapsed > duration - 0.2 ? Math.max(0, (duration - elapsed) / 0.2) : 1;
+}
+
+export const REACTION_ANIMATIONS = {
+  // Scale bounce (0 -> 1.3 -> 1.0 in the first 0.3s), slight bob
+  pop(elapsed, duration) {
+    let scale = 1;
+    if (elapsed > duration - 0.2) scale = shrinkAtEnd(elapsed, duration);
+    else if (elapsed < 0.15) scale = (elapsed / 0.15) * 1.3;
+    else if (elapsed < 0.3) scale = 1.3 - ((elapsed - 0.15) / 0.15) * 0.3;
+
+    return {
+      scale,
+      y: Math.sin(elapsed * 3) * 0.05,
+      rotation: 0,
+      opacity: 1,
+    };
+  },
+
+  // Grow in, drift upward and fade out
+  "float-up"(elapsed, duration) {
+    const t = duration > 0 ? elapsed / duration : 1;
+    return {
+      scale: Math.min(1, elapsed / 0.2),
+      y: t * 0.6,
+      rotation: 0,
+      opacity: t > 0.6 ? Math.max(0, 1 - (t - 0.6) / 0.4) : 1,
+    };
+  },
+
+  // Pop in and wobble side to side, settling after ~0.6s
+  shake(elapsed, duration) {
+    const damping = Math.max(0, 1 - elapsed / 0.6);
+    return {
+      scale: Math.min(Math.min(1, elapsed / 0.1), shrinkAtEnd(elapsed, duration)),
+      y: 0,
+      rotation: Math.sin(elapsed * 40) * 0.3 * damping,
+      opacity: 1,
+    };
+  },
+};
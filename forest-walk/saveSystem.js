@@ -0,0 +1,202 @@
+// ========================================
+// SAVE SYSTEM — Persistent playthrough slots
+// ========================================
+// Stores story progress in localStorage under a handful of named
+// slots. Saves can also be exported/imported as JSON files so a
+// playthrough can move between browsers.
+
+const STORAGE_PREFIX = "our-story.save.";
+const ACTIVE_SLOT_KEY = "our-story.activeSlot";
+
+export const SAVE_VERSION = 1;
+
+export const SAVE_SLOTS = [
+  { id: "slot1", name: "Slot 1" },
+  { id: "slot2", name: "Slot 2" },
+  { id: "slot3", name: "Slot 3" },
+];
+
+export class SaveSystem {
+  constructor(storage = window.localStorage) {
+    this.storage = storage;
+    this.activeSlotId = this._read(ACTIVE_SLOT_KEY) || SAVE_SLOTS[0].id;
+    if (!SAVE_SLOTS.some(s => s.id === this.activeSlotId)) {
+      this.activeSlotId = SAVE_SLOTS[0].id;
+    }
+  }
+
+  // ========================================
+  // SLOTS
+  // ========================================
+
+  setActiveSlot(slotId) {
+    if (!SAVE_SLOTS.some(s => s.id === slotId)) return;
+    this.activeSlotId = slotId;
+    this._write(ACTIVE_SLOT_KEY, slotId);
+  }
+
+  /** Summary of every slot for the welcome screen picker */
+  listSlots() {
+    return SAVE_SLOTS.map((slot) => {
+      const data = this.load(slot.id);
+      return {
+        id: slot.id,
+        name: slot.name,
+        active: slot.id === this.activeSlotId,
+        data,
+      };
+    });
+  }
+
+  hasSave(slotId = this.activeSlotId) {
+    return this.load(slotId) !== null;
+  }
+
+  // ========================================
+  // LOAD / SAVE
+  // ========================================
+
+  load(slotId = this.activeSlotId) {
+    const raw = this._read(STORAGE_PREFIX + slotId);
+    if (!raw) return null;
+    try {
+      return normalizeSave(JSON.parse(raw));
+    } catch (e) {
+      console.warn(`Corrupt save in ${slotId}, ignoring:`, e);
+      return null;
+    }
+  }
+
+  save(data, slotId = this.activeSlotId) {
+    const payload = {
+      ...data,
+      version: SAVE_VERSION,
+      updatedAt: Date.now(),
+    };
+    this._write(STORAGE_PREFIX + slotId, JSON.stringify(payload));
+    return payload;
+  }
+
+  clear(slotId = this.activeSlotId) {
+    try {
+      this.storage.removeItem(STORAGE_PREFIX + slotId);
+    } catch (e) {
+      console.warn("Failed to clear save:", e);
+    }
+  }
+
+  // ========================================
+  // EXPORT / IMPORT
+  // ========================================
+
+  /** Download the slot as a .json file */
+  exportSlot(slotId = this.activeSlotId) {
+    const data = this.load(slotId);
+    if (!data) return false;
+
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `our-story-${slotId}.json`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    URL.revokeObjectURL(url);
+    return true;
+  }
+
+  /**
+   * Read a previously exported save file into a slot.
+   * Resolves with the imported data, rejects if the file isn't a save.
+   */
+  async importFile(file, slotId = this.activeSlotId) {
+    const text = await file.text();
+    const data = normalizeSave(JSON.parse(text));
+    if (!data) throw new Error("Not a valid save file");
+    this._write(STORAGE_PREFIX + slotId, JSON.stringify(data));
+    return data;
+  }
+
+  // ========================================
+  // STORAGE HELPERS
+  // ========================================
+
+  _read(key) {
+    try {
+      return this.storage.getItem(key);
+    } catch (e) {
+      // Storage can be unavailable (private mode, disabled cookies)
+      return null;
+    }
+  }
+
+  _write(key, value) {
+    try {
+      this.storage.setItem(key, value);
+    } catch (e) {
+      console.warn("Failed to write save:", e);
+    }
+  }
+}
+
+// ========================================
+// VALIDATION
+// ========================================
+
+/**
+ * Validate a parsed save and fill in any missing fields.
+ * Returns null if the object doesn't look like a save at all.
+ */
+function normalizeSave(data) {
+  if (!data || typeof data !== "object") return null;
+  if (!Array.isArray(data.visitedChapters)) return null;
+  if (typeof data.version === "number" && data.version > SAVE_VERSION) return null;
+
+  return {
+    version: SAVE_VERSION,
+    updatedAt: typeof data.updatedAt === "number" ? data.updatedAt : 0,
+    visitedChapters: data.visitedChapters.filter(Number.isInteger),
+    currentChapterIndex: Number.isInteger(data.currentChapterIndex) ? data.currentChapterIndex : 0,
+    player: data.player && typeof data.player === "object"
+      ? {
+          x: finiteOr(data.player.x, 0),
+          z: finiteOr(data.player.z, 4),
+          rotationY: finiteOr(data.player.rotationY, 0),
+        }
+      : null,
+    camera: data.camera && typeof data.camera === "object"
+      ? {
+          yaw: finiteOr(data.camera.yaw, 0),
+          pitch: finiteOr(data.camera.pitch, 0.3),
+        }
+      : null,
+    checkpoint: normalizeCheckpoint(data.checkpoint),
+    flags: isPlainObject(data.flags) ? data.flags : {},
+    attempts: isPlainObject(data.attempts) ? data.attempts : {},
+    choices: isPlainObject(data.choices) ? data.choices : {},
+    playTime: Number(data.playTime) > 0 ? Number(data.playTime) : 0,
+  };
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/** Mid-level checkpoint: { chapterIndex, index, id, level } */
+function normalizeCheckpoint(checkpoint) {
+  if (!checkpoint || typeof checkpoint !== "object") return null;
+  if (!Number.isInteger(checkpoint.chapterIndex) || !Number.isInteger(checkpoint.index)) return null;
+
+  return {
+    chapterIndex: checkpoint.chapterIndex,
+    index: checkpoint.index,
+    id: typeof checkpoint.id === "string" ? checkpoint.id : null,
+    level: checkpoint.level && typeof checkpoint.level === "object" ? checkpoint.level : null,
+  };
+}
+
+/** The value if it's a finite number (zero included), else the fallback */
+function finiteOr(value, fallback) {
+  return Number.isFinite(value) ? value : fallback;
+}
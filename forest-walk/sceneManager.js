@@ -25,7 +25,8 @@ export class SceneManager {
     return this.activeScene !== null && this.activeScene !== this.hubScene;
   }
 
-  async enterLevel(chapter) {
+  /** `options` is passed through to the level's create() (e.g. { graphics }) */
+  async enterLevel(chapter, options = {}) {
     if (!chapter.levelModule) {
       return null; // no custom level — caller should fall back to text panel
     }
@@ -38,7 +39,7 @@ export class SceneManager {
 
     const levelMod = this.loadedLevels[chapter.levelModule];
     // Support both sync and async create; pass renderer for postprocessing
-    const levelSceneObj = await levelMod.create(chapter, this.renderer);
+    const levelSceneObj = await levelMod.create(chapter, this.renderer, options);
     this.activeScene = levelSceneObj;
     return levelSceneObj;
   }
@@ -6,6 +6,7 @@
 // reactions, choice panels, etc.
 
 import * as THREE from "three";
+import { createReactionSprite, getReactionCaption, REACTION_ANIMATIONS } from "./reactionSprites.js";
 
 // Easing functions
 const EASINGS = {
@@ -51,9 +52,216 @@ class CameraMoveBeat {
     return t >= 1;
   }
 
+  skip(ctx) {
+    this.elapsed = this.duration;
+    ctx.camera.position.copy(this.to);
+    ctx.camera.lookAt(this.lookAt);
+  }
+
   finish() {}
 }
 
+// ========================================
+// CAMERA PATH BEAT — Spline dolly with animated look target
+// ========================================
+// points: control points. "catmullrom" passes through every point;
+//   "bezier" is a chain of cubic segments (4, 7, 10, ... points).
+// easing: one name for the whole path, or an array with one name per
+//   segment. segmentDurations optionally weights the time per segment.
+// lookAt: a point, or an array of points blended over the path.
+// track: name of an object to look at instead ("player", or anything
+//   the level exposes through getObject), plus trackOffset.
+// fov: { from, to } or an array of keyframes. The final FOV is kept.
+
+const _pathTrackPos = new THREE.Vector3();
+
+class CameraPathBeat {
+  constructor(data) {
+    const points = (data.points || []).map(toVector3);
+    this.curveType = data.curve || "catmullrom";
+    this.duration = data.duration || 3.0;
+
+    if (this.curveType === "bezier") {
+      this.curves = [];
+      for (let i = 0; i + 3 < points.length; i += 3) {
+        this.curves.push(new THREE.CubicBezierCurve3(points[i], points[i + 1], points[i + 2], points[i + 3]));
+      }
+      this.segmentCount = Math.max(this.curves.length, 1);
+    } else {
+      this.spline = new THREE.CatmullRomCurve3(points, false, "catmullrom", data.tension ?? 0.5);
+      this.segmentCount = Math.max(points.length - 1, 1);
+    }
+
+    // Per-segment easing + time weights
+    const easings = Array.isArray(data.easing) ? data.easing : null;
+    this.pathEasing = easings ? null : EASINGS[data.easing] || EASINGS.easeInOutCubic;
+    this.segmentEasings = [];
+    for (let i = 0; i < this.segmentCount; i++) {
+      this.segmentEasings.push(easings ? EASINGS[easings[i]] || EASINGS.linear : EASINGS.linear);
+    }
+    const weights = data.segmentDurations || new Array(this.segmentCount).fill(1);
+    const total = weights.reduce((sum, w) => sum + w, 0) || 1;
+    let acc = 0;
+    this.segmentStarts = weights.map((w) => {
+      const start = acc / total;
+      acc += w;
+      return start;
+    });
+    this.segmentEnds = this.segmentStarts.map((_, i) => this.segmentStarts[i + 1] ?? 1);
+
+    // Look target
+    this.lookKeys = Array.isArray(data.lookAt)
+      ? data.lookAt.map(toVector3)
+      : data.lookAt ? [toVector3(data.lookAt)] : [];
+    this.track = data.track || null;
+    this.trackOffset = data.trackOffset ? toVector3(data.trackOffset) : new THREE.Vector3();
+
+    // FOV keyframes
+    if (Array.isArray(data.fov)) this.fovKeys = data.fov;
+    else if (data.fov) this.fovKeys = [data.fov.from, data.fov.to];
+    else this.fovKeys = null;
+
+    this.lookTarget = new THREE.Vector3();
+    this.elapsed = 0;
+  }
+
+  start(ctx) {
+    this.elapsed = 0;
+    this.applyPose(0, ctx);
+  }
+
+  update(dt, ctx) {
+    this.elapsed += dt;
+    const t = Math.min(this.elapsed / this.duration, 1);
+    this.applyPose(t, ctx);
+    return t >= 1;
+  }
+
+  skip(ctx) {
+    this.elapsed = this.duration;
+    this.applyPose(1, ctx);
+  }
+
+  finish() {}
+
+  /** Place the camera for normalized time t (0..1) */
+  applyPose(t, ctx) {
+    const u = this.progressAt(t);
+    this.pointAt(u, ctx.camera.position);
+
+    if (this.track && this.resolveTrackTarget(ctx)) {
+      this.lookTarget.copy(_pathTrackPos).add(this.trackOffset);
+    } else if (this.lookKeys.length > 0) {
+      sampleKeys(this.lookKeys, u, this.lookTarget);
+    }
+    ctx.camera.lookAt(this.lookTarget);
+
+    if (this.fovKeys) {
+      ctx.camera.fov = sampleScalarKeys(this.fovKeys, u);
+      ctx.camera.updateProjectionMatrix();
+    }
+  }
+
+  /** Map time to path progress, easing each segment separately if asked */
+  progressAt(t) {
+    if (this.pathEasing) return this.pathEasing(t);
+
+    let i = this.segmentStarts.length - 1;
+    while (i > 0 && t < this.segmentStarts[i]) i--;
+    const start = this.segmentStarts[i];
+    const span = this.segmentEnds[i] - start || 1;
+    const local = THREE.MathUtils.clamp((t - start) / span, 0, 1);
+    return (i + this.segmentEasings[i](local)) / this.segmentCount;
+  }
+
+  pointAt(u, target) {
+    if (this.spline) return this.spline.getPoint(u, target);
+    if (this.curves.length === 0) return target;
+
+    const scaled = u * this.curves.length;
+    const i = Math.min(Math.floor(scaled), this.curves.length - 1);
+    return this.curves[i].getPoint(scaled - i, target);
+  }
+
+  resolveTrackTarget(ctx) {
+    const target = resolveTarget(ctx, this.track);
+    if (!target) return false;
+    target.object.getWorldPosition(_pathTrackPos);
+    return true;
+  }
+}
+
+// ========================================
+// TARGETS — Named objects beats can anchor to
+// ========================================
+
+const DEFAULT_HEAD_OFFSET = 2.0;
+const SCREEN_EDGE_MARGIN = 16;
+const _anchorPos = new THREE.Vector3();
+const _projected = new THREE.Vector3();
+
+/**
+ * Resolve a target name to { object, headOffset } using the level's
+ * named objects. "player" falls back to ctx.player.
+ */
+function resolveTarget(ctx, name = "player") {
+  let object = null;
+  if (name === "player") object = ctx.player;
+  if (!object && ctx.level && ctx.level.getObject) object = ctx.level.getObject(name);
+  if (!object) return null;
+
+  const registered = ctx.level && ctx.level.getHeadOffset ? ctx.level.getHeadOffset(name) : null;
+  return { object, headOffset: registered ?? DEFAULT_HEAD_OFFSET };
+}
+
+/**
+ * Project a world point to screen pixels. Points behind the camera are
+ * mirrored and pushed outward so they pin to the nearest edge instead
+ * of jumping across the screen.
+ */
+function projectToScreen(worldPos, camera, out) {
+  _projected.copy(worldPos).project(camera);
+  let { x, y } = _projected;
+
+  out.behind = _projected.z > 1;
+  if (out.behind) {
+    const m = Math.max(Math.abs(x), Math.abs(y)) || 1;
+    x = -x / m;
+    y = -y / m;
+  }
+
+  out.x = (x * 0.5 + 0.5) * window.innerWidth;
+  out.y = (-y * 0.5 + 0.5) * window.innerHeight;
+  return out;
+}
+
+/**
+ * Localized beat string. Beats with an id look up "beat.<id>" in the
+ * chapter's string table (ctx.translate); the data text is the fallback.
+ */
+function beatText(ctx, key, fallback) {
+  return key && ctx.translate ? ctx.translate(`beat.${key}`, fallback) : fallback;
+}
+
+function toVector3(p) {
+  return new THREE.Vector3(p.x, p.y, p.z);
+}
+
+/** Piecewise-linear blend across evenly spaced vector keyframes */
+function sampleKeys(keys, u, target) {
+  if (keys.length === 1) return target.copy(keys[0]);
+  const scaled = THREE.MathUtils.clamp(u, 0, 1) * (keys.length - 1);
+  const i = Math.min(Math.floor(scaled), keys.length - 2);
+  return target.lerpVectors(keys[i], keys[i + 1], scaled - i);
+}
+
+function sampleScalarKeys(keys, u) {
+  if (keys.length === 1) return keys[0];
+  const scaled = THREE.MathUtils.clamp(u, 0, 1) * (keys.length - 1);
+  const i = Math.min(Math.floor(scaled), keys.length - 2);
+  return THREE.MathUtils.lerp(keys[i], keys[i + 1], scaled - i);
+}
+
 class WaitBeat {
   constructor(data) {
     this.duration = data.duration || 1.0;
@@ -67,16 +275,36 @@ class WaitBeat {
     return this.elapsed >= this.duration;
   }
 
+  skip() {
+    this.elapsed = this.duration;
+  }
+
   finish() {}
 }
 
+// ========================================
+// TEXT BUBBLE / REACTION BEATS
+// ========================================
+// target: named object to anchor to (default "player"). The level's
+// registered head offset is used unless the beat sets headOffset.
+// Captions name the beat's speaker; speech bubbles on the player fall
+// back to the chapter's playerSpeaker. Other bubbles (notifications,
+// read receipts) caption unattributed.
+// Reactions take a kind from reactionSprites.js and an animation
+// preset: "pop" (default), "float-up" or "shake".
+
 class TextBubbleBeat {
   constructor(data) {
+    this.id = data.id || null;
     this.text = data.text || "";
     this.style = data.style || "speech";
     this.duration = data.duration || 3.0;
     this.offsetY = data.offsetY || 0.5;
     this.enterAnimation = data.enterAnimation || "rise";
+    this.target = data.target || "player";
+    this.speaker = data.speaker ?? null;
+    this.headOffset = data.headOffset ?? null;
+    this.screenPos = { x: 0, y: 0, behind: false };
     this.elapsed = 0;
     this.element = null;
   }
@@ -85,9 +313,10 @@ class TextBubbleBeat {
     this.elapsed = 0;
 
     // Create DOM element
+    const text = beatText(ctx, this.id, this.text);
     const el = document.createElement("div");
     el.className = `text-bubble ${this.style}`;
-    el.textContent = this.text;
+    el.textContent = text;
 
     if (this.enterAnimation === "rise") {
       el.classList.add("rise-enter");
@@ -100,23 +329,33 @@ class TextBubbleBeat {
 
     this.element = el;
     this.ctx = ctx;
+
+    if (ctx.captions) {
+      const name = this.speaker ?? (this.style === "speech" && this.target === "player" ? ctx.playerSpeaker : null);
+      const speaker = name && ctx.translate ? ctx.translate(`speaker.${name}`, name) : name;
+      ctx.captions.line(speaker, text, this.duration);
+    }
   }
 
   update(dt, ctx) {
     this.elapsed += dt;
 
-    // Position the bubble above the character
-    if (this.element && ctx.player) {
-      const headPos = new THREE.Vector3();
-      ctx.player.getWorldPosition(headPos);
-      headPos.y += 2.0 + this.offsetY;
-
-      const screenPos = headPos.clone().project(ctx.camera);
-      const hw = window.innerWidth / 2;
-      const hh = window.innerHeight / 2;
-
-      this.element.style.left = `${(screenPos.x * hw) + hw}px`;
-      this.element.style.top = `${-(screenPos.y * hh) + hh}px`;
+    // Position the bubble above the target, pinned to the screen edge
+    // when the anchor leaves the view
+    const target = this.element ? resolveTarget(ctx, this.target) : null;
+    if (target) {
+      target.object.getWorldPosition(_anchorPos);
+      _anchorPos.y += (this.headOffset ?? target.headOffset) + this.offsetY;
+
+      const pos = projectToScreen(_anchorPos, ctx.camera, this.screenPos);
+      const halfW = this.element.offsetWidth / 2;
+      const height = this.element.offsetHeight;
+      const x = THREE.MathUtils.clamp(pos.x, halfW + SCREEN_EDGE_MARGIN, window.innerWidth - halfW - SCREEN_EDGE_MARGIN);
+      const y = THREE.MathUtils.clamp(pos.y, height + SCREEN_EDGE_MARGIN, window.innerHeight - SCREEN_EDGE_MARGIN);
+
+      this.element.style.left = `${x}px`;
+      this.element.style.top = `${y}px`;
+      this.element.classList.toggle("edge-pinned", pos.behind || x !== pos.x || y !== pos.y);
     }
 
     // Fade out near end
@@ -128,6 +367,10 @@ class TextBubbleBeat {
     return this.elapsed >= this.duration;
   }
 
+  skip() {
+    this.elapsed = this.duration;
+  }
+
   finish() {
     if (this.element && this.element.parentNode) {
       this.element.parentNode.removeChild(this.element);
@@ -139,6 +382,10 @@ class ReactionBeat {
   constructor(data) {
     this.kind = data.kind || "surprise";
     this.duration = data.duration || 1.5;
+    this.target = data.target || "player";
+    this.headOffset = data.headOffset ?? null;
+    this.offsetY = data.offsetY ?? 0.8;
+    this.animate = REACTION_ANIMATIONS[data.animation] || REACTION_ANIMATIONS.pop;
     this.elapsed = 0;
     this.sprite = null;
   }
@@ -147,58 +394,46 @@ class ReactionBeat {
     this.elapsed = 0;
     this.sprite = createReactionSprite(this.kind);
     this.sprite.scale.set(0, 0, 1);
+    this.placeAboveTarget(ctx, 0);
 
-    // Position above player
-    if (ctx.player) {
-      const pos = new THREE.Vector3();
-      ctx.player.getWorldPosition(pos);
-      this.sprite.position.set(pos.x, pos.y + 2.8, pos.z);
+    const caption = getReactionCaption(this.kind);
+    if (caption && ctx.captions) {
+      ctx.captions.cue(ctx.translate ? ctx.translate(`reaction.${this.kind}`, caption) : caption, this.duration);
     }
 
     ctx.scene.add(this.sprite);
   }
 
-  update(dt, ctx) {
-    this.elapsed += dt;
+  /** Position the sprite above the target's head, plus an animation offset */
+  placeAboveTarget(ctx, lift) {
+    const target = resolveTarget(ctx, this.target);
+    if (!target) return;
 
-    // Scale bounce animation (0 -> 1.3 -> 1.0 in first 0.3s)
-    if (this.elapsed < 0.15) {
-      const t = this.elapsed / 0.15;
-      const s = t * 1.3;
-      this.sprite.scale.set(s, s, 1);
-    } else if (this.elapsed < 0.3) {
-      const t = (this.elapsed - 0.15) / 0.15;
-      const s = 1.3 - t * 0.3;
-      this.sprite.scale.set(s, s, 1);
-    } else {
-      this.sprite.scale.set(1, 1, 1);
-    }
+    target.object.getWorldPosition(_anchorPos);
+    _anchorPos.y += (this.headOffset ?? target.headOffset) + this.offsetY + lift;
+    this.sprite.position.copy(_anchorPos);
+  }
 
-    // Slight bob
-    if (ctx.player) {
-      const pos = new THREE.Vector3();
-      ctx.player.getWorldPosition(pos);
-      this.sprite.position.set(
-        pos.x,
-        pos.y + 2.8 + Math.sin(this.elapsed * 3) * 0.05,
-        pos.z
-      );
-    }
+  update(dt, ctx) {
+    this.elapsed += dt;
 
-    // Shrink at end
-    if (this.elapsed > this.duration - 0.2) {
-      const t = (this.duration - this.elapsed) / 0.2;
-      const s = Math.max(0, t);
-      this.sprite.scale.set(s, s, 1);
-    }
+    const frame = this.animate(Math.min(this.elapsed, this.duration), this.duration);
+    this.sprite.scale.set(frame.scale, frame.scale, 1);
+    this.sprite.material.rotation = frame.rotation;
+    this.sprite.material.opacity = frame.opacity;
+    this.placeAboveTarget(ctx, frame.y);
 
     return this.elapsed >= this.duration;
   }
 
+  skip() {
+    this.elapsed = this.duration;
+  }
+
   finish(ctx) {
     if (this.sprite) {
       ctx.scene.remove(this.sprite);
-      this.sprite.material.map?.dispose();
+      // Texture is cached by the reaction registry, only drop the material
       this.sprite.material.dispose();
     }
   }
@@ -207,10 +442,12 @@ class ReactionBeat {
 class ShowChoiceBeat {
   constructor() {
     this.waiting = true;
+    this.result = null;
   }
 
   start(ctx) {
     this.waiting = true;
+    this.result = null;
     // Trigger the choice panel via callback
     if (ctx.onShowChoice) {
       ctx.onShowChoice();
@@ -222,15 +459,142 @@ class ShowChoiceBeat {
     return !this.waiting;
   }
 
-  finish() {}
+  finish(ctx) {
+    // Expose { chapterIndex, index, correct } to the beats that follow
+    if (this.result) ctx.lastChoice = this.result;
+  }
 
-  onSignal(eventName) {
+  onSignal(eventName, payload) {
     if (eventName === "choice_made") {
+      this.result = payload || null;
+      // Per-choice outcome beats play inline before the main sequence resumes
+      this.subSequence = payload && payload.sequence ? payload.sequence : null;
       this.waiting = false;
     }
   }
 }
 
+// ========================================
+// DIALOGUE BEAT — Multi-line conversation, player paced
+// ========================================
+// lines: [{ speaker, text, portrait?, emotion? }]
+// speakers: optional defaults per speaker name, e.g.
+//   { Valerie: { portrait: "/images/valerie.png" } }
+// Text types out; the first A press completes the line, the next
+// one advances. The beat ends after the last line.
+
+const EMOTION_ICONS = {
+  happy: "\u{1F60A}",
+  laugh: "\u{1F602}",
+  surprised: "\u{1F62E}",
+  nervous: "\u{1F605}",
+  love: "\u2764",
+  sad: "\u{1F614}",
+};
+
+class DialogueBeat {
+  constructor(data) {
+    this.id = data.id || null;
+    this.lines = data.lines || [];
+    this.speakers = data.speakers || {};
+    this.charsPerSecond = data.charsPerSecond || 40;
+    this.lineIndex = 0;
+    this.chars = [];
+    this.visibleChars = 0;
+    this.lineComplete = false;
+    this.done = false;
+  }
+
+  start(ctx) {
+    this.ctx = ctx;
+    this.box = document.getElementById("dialogue-box");
+    this.portraitEl = document.getElementById("dialogue-portrait");
+    this.speakerEl = document.getElementById("dialogue-speaker");
+    this.emotionEl = document.getElementById("dialogue-emotion");
+    this.textEl = document.getElementById("dialogue-text");
+    this.done = this.lines.length === 0;
+
+    if (this.box) this.box.classList.remove("hidden");
+    if (!this.done) this.showLine(0);
+  }
+
+  showLine(index) {
+    this.lineIndex = index;
+    const line = { ...this.speakers[this.lines[index].speaker], ...this.lines[index] };
+    const text = beatText(this.ctx, this.id && `${this.id}.${index}`, line.text || "");
+    const speaker = line.speaker && this.ctx.translate
+      ? this.ctx.translate(`speaker.${line.speaker}`, line.speaker)
+      : line.speaker;
+
+    // Array.from keeps emoji / surrogate pairs intact while typing
+    this.chars = Array.from(text);
+    this.visibleChars = 0;
+    this.lineComplete = false;
+
+    if (this.speakerEl) this.speakerEl.textContent = speaker || "";
+    if (this.emotionEl) this.emotionEl.textContent = EMOTION_ICONS[line.emotion] || "";
+    if (this.portraitEl) {
+      this.portraitEl.innerHTML = "";
+      if (line.portrait) {
+        const img = document.createElement("img");
+        img.src = line.portrait;
+        img.alt = speaker || "";
+        this.portraitEl.appendChild(img);
+      } else {
+        this.portraitEl.textContent = (speaker || "?").charAt(0);
+      }
+    }
+    if (this.box) {
+      this.box.dataset.emotion = line.emotion || "";
+      this.box.classList.remove("line-complete");
+    }
+    if (this.textEl) this.textEl.textContent = "";
+    if (this.ctx.captions) this.ctx.captions.line(speaker, text);
+  }
+
+  completeLine() {
+    this.visibleChars = this.chars.length;
+    this.lineComplete = true;
+    if (this.textEl) this.textEl.textContent = this.chars.join("");
+    if (this.box) this.box.classList.add("line-complete");
+  }
+
+  update(dt) {
+    if (this.done) return true;
+
+    if (!this.lineComplete) {
+      this.visibleChars += dt * this.charsPerSecond;
+      const count = Math.floor(this.visibleChars);
+      if (count >= this.chars.length) {
+        this.completeLine();
+      } else if (this.textEl) {
+        this.textEl.textContent = this.chars.slice(0, count).join("");
+      }
+    }
+
+    return false;
+  }
+
+  finish() {
+    if (this.box) {
+      this.box.classList.add("hidden");
+      this.box.classList.remove("line-complete");
+    }
+  }
+
+  onSignal(eventName) {
+    if (eventName !== "key_a" || this.done) return;
+
+    if (!this.lineComplete) {
+      this.completeLine();
+    } else if (this.lineIndex < this.lines.length - 1) {
+      this.showLine(this.lineIndex + 1);
+    } else {
+      this.done = true;
+    }
+  }
+}
+
 // ========================================
 // FADE BEAT — Fade transition overlay in/out
 // ========================================
@@ -275,6 +639,14 @@ class FadeBeat {
     return this.elapsed >= this.duration;
   }
 
+  skip() {
+    this.elapsed = this.duration;
+    if (!this.overlay) return;
+    // Jump straight to the end opacity
+    this.overlay.style.transition = "none";
+    this.overlay.style.opacity = this.direction === "in" ? "1" : "0";
+  }
+
   finish() {
     if (!this.overlay) return;
     this.overlay.style.transition = "";
@@ -363,6 +735,8 @@ class SceneSwapBeat {
     return true; // Instant beat
   }
 
+  skip() {}
+
   finish() {}
 }
 
@@ -372,6 +746,7 @@ class SceneSwapBeat {
 
 class InteractionBeat {
   constructor(data) {
+    this.id = data.id || null;
     this.targetId = data.targetId || null;
     this.promptText = data.promptText || "Press A";
     this.waiting = true;
@@ -381,7 +756,7 @@ class InteractionBeat {
     this.waiting = true;
     // Enable the interaction trigger if level has one
     if (ctx.level && ctx.level.enableInteraction) {
-      ctx.level.enableInteraction(this.targetId, this.promptText, () => {
+      ctx.level.enableInteraction(this.targetId, beatText(ctx, this.id, this.promptText), () => {
         this.waiting = false;
       });
     }
@@ -430,6 +805,103 @@ class OverlayBeat {
     return true; // Instant beat
   }
 
+  skip() {}
+
+  finish() {}
+}
+
+// ========================================
+// SOUND / MUSIC BEATS — Drive the audio manager (ctx.audio)
+// ========================================
+// sound: { id, bus?, volume?, loop?, target? } — target makes the sound
+//   positional on a named object. { stop: id, fade? } stops it again.
+// music: { id, fade? } crossfades the music; id: null fades it out.
+// Both finish immediately. Skipped one-shot sounds stay silent, but
+// loops, stops and music changes still apply so the mix stays right.
+
+class SoundBeat {
+  constructor(data) {
+    this.data = data;
+    this.skipped = false;
+    this.fired = false;
+  }
+
+  start() {
+    this.fired = false;
+    this.skipped = false;
+  }
+
+  update(dt, ctx) {
+    if (!this.fired) {
+      this.fired = true;
+      this.fire(ctx);
+    }
+    return true;
+  }
+
+  fire(ctx) {
+    const d = this.data;
+    if (!ctx.audio) return;
+
+    if (d.stop) {
+      ctx.audio.stopSound(d.stop, d.fade ?? 0.3);
+      return;
+    }
+    if (this.skipped && !d.loop) return;
+
+    const target = d.target ? resolveTarget(ctx, d.target) : null;
+    ctx.audio.play(d.id, {
+      bus: d.bus,
+      volume: d.volume ?? 1,
+      loop: !!d.loop,
+      object: target ? target.object : null,
+    });
+  }
+
+  skip() {
+    this.skipped = true;
+  }
+
+  finish() {}
+}
+
+// caption: { text, duration? } — describe a non-speech cue on the
+// caption track without playing anything.
+class CaptionBeat {
+  constructor(data) {
+    this.text = data.text || "";
+    this.duration = data.duration ?? 2.0;
+  }
+
+  start(ctx) {
+    if (ctx.captions) ctx.captions.cue(this.text, this.duration);
+  }
+
+  update() {
+    return true;
+  }
+
+  skip() {}
+
+  finish() {}
+}
+
+class MusicBeat {
+  constructor(data) {
+    this.id = data.id ?? null;
+    this.fade = data.fade ?? 2.0;
+  }
+
+  start(ctx) {
+    if (ctx.audio) ctx.audio.playMusic(this.id, { fade: this.fade });
+  }
+
+  update() {
+    return true;
+  }
+
+  skip() {}
+
   finish() {}
 }
 
@@ -456,6 +928,21 @@ class CustomCallbackBeat {
     return this.elapsed >= this.duration;
   }
 
+  skip() {
+    // The callback already fired in start(); only its hold time is skipped
+    this.elapsed = this.duration;
+  }
+
+  /**
+   * Callbacks can start level animations that outlive the beat (the
+   * train pulling in). A matching level.skipCallbacks entry jumps them
+   * to their end state when the player skips.
+   */
+  settle(ctx) {
+    const hooks = ctx.level && ctx.level.skipCallbacks;
+    if (hooks && hooks[this.callbackName]) hooks[this.callbackName](ctx);
+  }
+
   finish() {}
 }
 
@@ -465,6 +952,7 @@ class CustomCallbackBeat {
 
 class KeyPromptBeat {
   constructor(data) {
+    this.id = data.id || null;
     this.key = data.key || "A"; // "A" or "B"
     this.promptText = data.promptText || `Press ${this.key}`;
     this.triggered = false;
@@ -480,8 +968,9 @@ class KeyPromptBeat {
     const promptTextEl = document.getElementById("prompt-text");
     const promptKeyEl = promptEl ? promptEl.querySelector(".prompt-key") : null;
     if (promptEl) promptEl.classList.remove("hidden");
-    if (promptTextEl) promptTextEl.textContent = this.promptText;
-    if (promptKeyEl) promptKeyEl.textContent = this.key;
+    if (promptTextEl) promptTextEl.textContent = beatText(ctx, this.id, this.promptText);
+    // inputGlyphs.js renders the button for the active device
+    if (promptKeyEl) promptKeyEl.dataset.glyph = this.key === "B" ? "back" : "primary";
   }
 
   update() {
@@ -494,10 +983,14 @@ class KeyPromptBeat {
   }
 
   onSignal(eventName) {
-    if (eventName === `key_${this.key.toLowerCase()}`) {
+    if (this.awaitsSignal(eventName)) {
       this.triggered = true;
     }
   }
+
+  awaitsSignal(eventName) {
+    return !this.triggered && eventName === `key_${this.key.toLowerCase()}`;
+  }
 }
 
 class ShowStoryBeat {
@@ -526,74 +1019,220 @@ class ShowStoryBeat {
 }
 
 // ========================================
-// REACTION SPRITE FACTORY
-// ========================================
-
-function createReactionSprite(kind) {
-  const canvas = document.createElement("canvas");
-  canvas.width = 128;
-  canvas.height = 128;
-  const ctx = canvas.getContext("2d");
-
-  // White rounded rectangle background
-  ctx.fillStyle = "#ffffff";
-  roundRect(ctx, 24, 12, 80, 104, 14);
-  ctx.fill();
-
-  // Border
-  ctx.strokeStyle = "#5c4a3a";
-  ctx.lineWidth = 3;
-  roundRect(ctx, 24, 12, 80, 104, 14);
-  ctx.stroke();
-
-  // Icon
-  ctx.textAlign = "center";
-  ctx.textBaseline = "middle";
-
-  switch (kind) {
-    case "surprise":
-      ctx.fillStyle = "#e74c3c";
-      ctx.font = "bold 64px Arial";
-      ctx.fillText("!", 64, 64);
-      break;
-    case "heart":
-      ctx.fillStyle = "#e74c3c";
-      ctx.font = "56px Arial";
-      ctx.fillText("\u2764", 64, 64);
-      break;
-    case "music":
-      ctx.fillStyle = "#5c4a3a";
-      ctx.font = "56px Arial";
-      ctx.fillText("\u266B", 64, 64);
-      break;
-    default:
-      ctx.fillStyle = "#e74c3c";
-      ctx.font = "bold 64px Arial";
-      ctx.fillText("!", 64, 64);
-  }
-
-  const texture = new THREE.CanvasTexture(canvas);
-  const material = new THREE.SpriteMaterial({
-    map: texture,
-    transparent: true,
-  });
-  const sprite = new THREE.Sprite(material);
-  sprite.scale.set(0.6, 0.6, 1);
-  return sprite;
-}
-
-function roundRect(ctx, x, y, w, h, r) {
-  ctx.beginPath();
-  ctx.moveTo(x + r, y);
-  ctx.lineTo(x + w - r, y);
-  ctx.quadraticCurveTo(x + w, y, x + w, y + r);
-  ctx.lineTo(x + w, y + h - r);
-  ctx.quadraticCurveTo(x + w, y + h, x + w - r, y + h);
-  ctx.lineTo(x + r, y + h);
-  ctx.quadraticCurveTo(x, y + h, x, y + h - r);
-  ctx.lineTo(x, y + r);
-  ctx.quadraticCurveTo(x, y, x + r, y);
-  ctx.closePath();
+// CHECKPOINT BEAT — Safe resume point
+// ========================================
+// The runner captures a snapshot when it reaches this beat;
+// the beat itself is instant.
+
+class CheckpointBeat {
+  constructor(data) {
+    this.id = data.id || null;
+  }
+
+  start() {}
+
+  update() {
+    return true;
+  }
+
+  skip() {}
+
+  finish() {}
+}
+
+// ========================================
+// PARALLEL BEAT — Run child beats at the same time
+// ========================================
+// Each child is a beat, or { name, sequence: [...] } for a small
+// sub-sequence. Every child gets its own runner sharing the context.
+// `until` decides when the group ends: "all" (default), "any", or the
+// name of one child. Children still running at that point are stopped.
+
+class ParallelBeat {
+  constructor(data) {
+    this.until = data.until || "all";
+    this.children = (data.children || []).map((child, i) => ({
+      name: child.name || `child${i}`,
+      sequence: Array.isArray(child.sequence) && !child.type ? child.sequence : [child],
+      runner: null,
+      done: false,
+    }));
+  }
+
+  start(ctx) {
+    for (const child of this.children) {
+      child.done = false;
+      child.runner = new SequenceRunner();
+      child.runner.onComplete = () => { child.done = true; };
+      child.runner.start(child.sequence, ctx);
+    }
+  }
+
+  update(dt) {
+    for (const child of this.children) {
+      if (!child.done) child.runner.update(dt);
+    }
+    return this.isComplete();
+  }
+
+  skip() {
+    for (const child of this.children) {
+      if (!child.done) child.runner.skipToInteractive();
+    }
+  }
+
+  isComplete() {
+    if (this.children.length === 0) return true;
+    if (this.until === "all") return this.children.every(c => c.done);
+    if (this.until === "any") return this.children.some(c => c.done);
+
+    const named = this.children.find(c => c.name === this.until);
+    return named ? named.done : this.children.every(c => c.done);
+  }
+
+  finish() {
+    for (const child of this.children) {
+      if (child.runner && !child.done) {
+        // Leave sibling bubbles alone; each beat cleans up its own UI
+        child.runner.stop({ clearUI: false });
+        child.done = true;
+      }
+    }
+  }
+
+  onSignal(eventName, payload) {
+    for (const child of this.children) {
+      if (!child.done) child.runner.signal(eventName, payload);
+    }
+  }
+
+  awaitsSignal(eventName) {
+    return this.children.some(c => !c.done && c.runner.awaitsSignal(eventName));
+  }
+}
+
+// ========================================
+// FLOW CONTROL BEATS — Labels, jumps, branches
+// ========================================
+// Instant beats that steer the runner. A beat that sets `jumpTo`
+// sends the runner to that label (within the same sequence) instead
+// of the next beat.
+
+class LabelBeat {
+  constructor(data) {
+    this.name = data.name;
+  }
+
+  start() {}
+
+  update() {
+    return true;
+  }
+
+  skip() {}
+
+  finish() {}
+}
+
+class GotoBeat {
+  constructor(data) {
+    this.jumpTo = data.label;
+  }
+
+  start() {}
+
+  update() {
+    return true;
+  }
+
+  skip() {}
+
+  finish() {}
+}
+
+class BranchBeat {
+  constructor(data) {
+    // Either a list of { when, goto } cases, or the shorthand
+    // { when, goto, else } for a single test
+    this.cases = data.cases || [{ when: data.when, goto: data.goto }];
+    this.otherwise = data.otherwise || data.else || null;
+    this.jumpTo = null;
+  }
+
+  start(ctx) {
+    const match = this.cases.find(c => evaluateCondition(c.when, ctx));
+    this.jumpTo = match ? match.goto : this.otherwise;
+  }
+
+  update() {
+    return true;
+  }
+
+  skip() {}
+
+  finish() {}
+}
+
+class SetFlagBeat {
+  constructor(data) {
+    this.flag = data.flag;
+    this.value = data.value !== undefined ? data.value : true;
+  }
+
+  start(ctx) {
+    if (ctx.flags && this.flag) ctx.flags[this.flag] = this.value;
+  }
+
+  update() {
+    return true;
+  }
+
+  skip() {}
+
+  finish() {}
+}
+
+/**
+ * Test a branch condition against the sequence context.
+ * All keys present must match:
+ *   choice: "correct" | "wrong"   — result of the last show_choice
+ *   choiceIndex: n                — index into chapter.choices
+ *   attempts: n | { gte, lte }    — choices made this chapter
+ *   flag: "name", equals?: value  — narrative flag (truthy if no equals)
+ *   not: { ...condition }         — negation
+ */
+function evaluateCondition(cond, ctx) {
+  if (!cond) return true;
+
+  const last = ctx.lastChoice || null;
+
+  if (cond.choice !== undefined) {
+    if (!last) return false;
+    if ((cond.choice === "correct") !== Boolean(last.correct)) return false;
+  }
+
+  if (cond.choiceIndex !== undefined) {
+    if (!last || last.index !== cond.choiceIndex) return false;
+  }
+
+  if (cond.attempts !== undefined) {
+    const attempts = last ? last.attempts || 0 : 0;
+    if (typeof cond.attempts === "number") {
+      if (attempts !== cond.attempts) return false;
+    } else {
+      if (cond.attempts.gte !== undefined && attempts < cond.attempts.gte) return false;
+      if (cond.attempts.lte !== undefined && attempts > cond.attempts.lte) return false;
+    }
+  }
+
+  if (cond.flag !== undefined) {
+    const value = ctx.flags ? ctx.flags[cond.flag] : undefined;
+    if (cond.equals !== undefined ? value !== cond.equals : !value) return false;
+  }
+
+  if (cond.not !== undefined && evaluateCondition(cond.not, ctx)) return false;
+
+  return true;
 }
 
 // ========================================
@@ -607,19 +1246,88 @@ export class SequenceRunner {
     this.activeBeat = null;
     this.isRunning = false;
     this.onComplete = null;
+    this.onCheckpoint = null; // (checkpoint) => void, fired at each checkpoint beat
     this.context = {};
+    this.labels = {}; // label name → index in this.beats
+    this.stack = []; // suspended { beats, labels, index } while a sub-sequence plays
+    this.unsettled = []; // started beats with a settle(ctx) not yet run by a skip
   }
 
   start(sequence, context) {
-    this.beats = sequence;
+    this.setBeats(sequence);
+    this.stack = [];
+    this.unsettled = [];
     this.currentIndex = 0;
     this.context = context;
     this.isRunning = true;
     this.advanceToNext();
   }
 
+  setBeats(beats) {
+    this.beats = beats;
+    this.labels = {};
+    beats.forEach((beat, i) => {
+      if (beat.type === "label" && beat.name) this.labels[beat.name] = i;
+    });
+  }
+
+  /**
+   * Restart a sequence from a checkpoint captured by createCheckpoint().
+   * Restores the level state first, then continues with the beat after
+   * the checkpoint. Falls back to a normal start if the checkpoint no
+   * longer matches the sequence.
+   */
+  resume(sequence, context, checkpoint) {
+    const index = findCheckpointIndex(sequence, checkpoint);
+    if (index < 0) {
+      this.start(sequence, context);
+      return;
+    }
+
+    this.setBeats(sequence);
+    this.stack = [];
+    this.unsettled = [];
+    this.context = context;
+
+    const level = context.level;
+    if (checkpoint.level && level && level.restoreState) {
+      level.restoreState(checkpoint.level);
+      // Update context references after phase swap
+      if (level.scene) context.scene = level.scene;
+      if (level.camera) context.camera = level.camera;
+    }
+
+    this.currentIndex = index + 1;
+    this.isRunning = true;
+    this.advanceToNext();
+  }
+
+  /**
+   * Snapshot the current position in the sequence plus whatever the
+   * level reports via serializeState() (phase, player transform, ...).
+   */
+  createCheckpoint() {
+    const beatData = this.beats[this.currentIndex];
+    const level = this.context.level;
+    return {
+      index: this.currentIndex,
+      id: beatData && beatData.type === "checkpoint" ? beatData.id || null : null,
+      level: level && level.serializeState ? level.serializeState() : null,
+    };
+  }
+
   advanceToNext() {
     if (this.currentIndex >= this.beats.length) {
+      // Sub-sequence finished — resume the sequence that started it
+      if (this.stack.length > 0) {
+        const frame = this.stack.pop();
+        this.beats = frame.beats;
+        this.labels = frame.labels;
+        this.currentIndex = frame.index;
+        this.advanceToNext();
+        return;
+      }
+
       this.isRunning = false;
       if (this.onComplete) this.onComplete();
       return;
@@ -628,6 +1336,12 @@ export class SequenceRunner {
     const beatData = this.beats[this.currentIndex];
     this.activeBeat = this.createBeat(beatData);
     this.activeBeat.start(this.context);
+    if (this.activeBeat.settle) this.unsettled.push(this.activeBeat);
+
+    // Checkpoints only make sense in the top-level sequence
+    if (beatData.type === "checkpoint" && this.onCheckpoint && this.stack.length === 0) {
+      this.onCheckpoint(this.createCheckpoint());
+    }
   }
 
   update(dt) {
@@ -636,16 +1350,37 @@ export class SequenceRunner {
     const done = this.activeBeat.update(dt, this.context);
     if (done) {
       this.activeBeat.finish(this.context);
+      this.advancePast(this.activeBeat);
+    }
+  }
+
+  /** Pick the next beat after `beat` finished: sub-sequence, jump, or next */
+  advancePast(beat) {
+    if (beat.subSequence && beat.subSequence.length > 0) {
+      this.stack.push({ beats: this.beats, labels: this.labels, index: this.currentIndex + 1 });
+      this.setBeats(beat.subSequence);
+      this.currentIndex = 0;
+    } else if (beat.jumpTo) {
+      const target = this.labels[beat.jumpTo];
+      if (target === undefined) {
+        console.warn("Unknown sequence label:", beat.jumpTo);
+        this.currentIndex++;
+      } else {
+        this.currentIndex = target;
+      }
+    } else {
       this.currentIndex++;
-      this.advanceToNext();
     }
+    this.advanceToNext();
   }
 
   createBeat(data) {
     switch (data.type) {
       case "camera_move": return new CameraMoveBeat(data);
+      case "camera_path": return new CameraPathBeat(data);
       case "wait": return new WaitBeat(data);
       case "text_bubble": return new TextBubbleBeat(data);
+      case "dialogue": return new DialogueBeat(data);
       case "reaction": return new ReactionBeat(data);
       case "show_choice": return new ShowChoiceBeat(data);
       case "show_story": return new ShowStoryBeat(data);
@@ -655,25 +1390,98 @@ export class SequenceRunner {
       case "interaction": return new InteractionBeat(data);
       case "overlay": return new OverlayBeat(data);
       case "custom_callback": return new CustomCallbackBeat(data);
+      case "sound": return new SoundBeat(data);
+      case "music": return new MusicBeat(data);
+      case "caption": return new CaptionBeat(data);
       case "key_prompt": return new KeyPromptBeat(data);
+      case "checkpoint": return new CheckpointBeat(data);
+      case "label": return new LabelBeat(data);
+      case "goto": return new GotoBeat(data);
+      case "branch": return new BranchBeat(data);
+      case "set_flag": return new SetFlagBeat(data);
+      case "parallel": return new ParallelBeat(data);
       default:
         console.warn("Unknown beat type:", data.type);
         return new WaitBeat({ duration: 0 });
     }
   }
 
+  /**
+   * Jump back to an earlier beat of the current sequence and keep
+   * playing from there (e.g. re-showing the choice after a retry).
+   */
+  restartFrom(index) {
+    if (this.activeBeat && this.isRunning) {
+      this.activeBeat.finish(this.context);
+    }
+    this.activeBeat = null;
+
+    // Always restart within the top-level sequence
+    if (this.stack.length > 0) {
+      const root = this.stack[0];
+      this.beats = root.beats;
+      this.labels = root.labels;
+      this.stack = [];
+    }
+
+    this.currentIndex = index;
+    this.isRunning = true;
+    this.advanceToNext();
+  }
+
+  /** True while the active beat is cinematic and can be fast-forwarded */
+  canSkip() {
+    return this.isRunning && this.activeBeat !== null && typeof this.activeBeat.skip === "function";
+  }
+
+  /**
+   * Fast-forward through non-interactive beats until one that needs the
+   * player (free roam, interaction, key prompt, choice, ...). Each skipped
+   * beat settles its end state before finishing, and callbacks still fire.
+   * Level animations started by earlier callbacks are settled too.
+   */
+  skipToInteractive() {
+    this.settleStarted();
+    // Guard against label/goto loops made only of instant beats
+    let guard = 1000;
+    while (this.canSkip() && guard-- > 0) {
+      const beat = this.activeBeat;
+      beat.skip(this.context);
+      // A beat that still isn't done is waiting on something interactive
+      if (!beat.update(0, this.context)) break;
+      beat.finish(this.context);
+      this.advancePast(beat);
+      this.settleStarted();
+    }
+  }
+
+  settleStarted() {
+    const beats = this.unsettled;
+    this.unsettled = [];
+    for (const beat of beats) beat.settle(this.context);
+  }
+
+  /** True if the active beat is waiting for this signal (e.g. a "Press B" prompt for key_b) */
+  awaitsSignal(eventName) {
+    return Boolean(this.activeBeat && this.activeBeat.awaitsSignal && this.activeBeat.awaitsSignal(eventName));
+  }
+
   signal(eventName, payload) {
     if (this.activeBeat && this.activeBeat.onSignal) {
       this.activeBeat.onSignal(eventName, payload);
     }
   }
 
-  stop() {
-    if (this.activeBeat && this.activeBeat.finish) {
+  stop({ clearUI = true } = {}) {
+    if (this.isRunning && this.activeBeat && this.activeBeat.finish) {
       this.activeBeat.finish(this.context);
     }
     this.isRunning = false;
     this.activeBeat = null;
+    this.stack = [];
+    this.unsettled = [];
+
+    if (!clearUI) return;
 
     // Clean up any remaining text bubbles
     const container = document.getElementById("level-ui");
@@ -682,3 +1490,17 @@ export class SequenceRunner {
     }
   }
 }
+
+/**
+ * Locate a checkpoint in a sequence. Prefers the saved index, but
+ * searches by id if the sequence was edited since the save was made.
+ */
+function findCheckpointIndex(sequence, checkpoint) {
+  if (!checkpoint) return -1;
+  const atIndex = sequence[checkpoint.index];
+  if (atIndex && atIndex.type === "checkpoint" && (atIndex.id || null) === checkpoint.id) {
+    return checkpoint.index;
+  }
+  if (!checkpoint.id) return -1;
+  return sequence.findIndex(b => b.type === "checkpoint" && b.id === checkpoint.id);
+}
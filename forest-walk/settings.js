@@ -0,0 +1,109 @@
+// ========================================
+// SETTINGS — Player preferences (camera, audio, graphics)
+// ========================================
+// Persisted in localStorage and applied live: main.js subscribes with
+// onChange() and pushes values to the hub camera, the active level's
+// PlayerController, the audio buses and the graphics presets.
+// Sensitivities are multipliers on the base rates in getHubPlayerConfig()
+// (hub.js) and PlayerController DEFAULTS. Settings with `options` pick
+// from a list.
+
+const STORAGE_KEY = "our-story.settings";
+
+export const SETTING_DEFS = {
+  mouseSensitivity: { default: 1.0, min: 0.25, max: 3.0, step: 0.05 },
+  stickSensitivity: { default: 1.0, min: 0.25, max: 3.0, step: 0.05 },
+  invertY: { default: false },
+  pointerLock: { default: false },
+  fov: { default: 55, min: 40, max: 90, step: 1 },
+  musicVolume: { default: 0.6, min: 0, max: 1, step: 0.05 },
+  sfxVolume: { default: 0.8, min: 0, max: 1, step: 0.05 },
+  voiceVolume: { default: 1.0, min: 0, max: 1, step: 0.05 },
+  graphicsQuality: { default: "auto", options: ["auto", "low", "medium", "high", "ultra"] },
+};
+
+/** Clamp or validate a value against its definition; undefined if unusable */
+function coerce(def, value) {
+  if (def.options) return def.options.includes(value) ? value : undefined;
+  if (typeof def.default === "boolean") return Boolean(value);
+  const number = Math.min(def.max, Math.max(def.min, Number(value)));
+  return Number.isNaN(number) ? undefined : number;
+}
+
+export class Settings {
+  constructor(storage = window.localStorage) {
+    this.storage = storage;
+    this.values = this._read();
+    this.listeners = new Set();
+  }
+
+  get(key) {
+    return this.values[key];
+  }
+
+  /** Set one value (clamped to its range) and notify listeners */
+  set(key, value) {
+    const def = SETTING_DEFS[key];
+    if (!def) return;
+
+    const next = coerce(def, value);
+    if (next === undefined || next === this.values[key]) return;
+
+    this.values[key] = next;
+    this._write();
+    this.listeners.forEach(fn => fn(key, next));
+  }
+
+  /** Move a numeric setting by `steps` increments, flip a boolean one or cycle through options */
+  nudge(key, steps) {
+    const def = SETTING_DEFS[key];
+    if (!def) return;
+    if (def.options) {
+      const count = def.options.length;
+      const index = def.options.indexOf(this.values[key]);
+      this.set(key, def.options[(((index + steps) % count) + count) % count]);
+    } else if (typeof def.default === "boolean") {
+      this.set(key, !this.values[key]);
+    } else {
+      const value = this.values[key] + def.step * steps;
+      this.set(key, Math.round(value / def.step) * def.step);
+    }
+  }
+
+  reset() {
+    for (const [key, def] of Object.entries(SETTING_DEFS)) this.set(key, def.default);
+  }
+
+  /** Run fn(key, value) after any change. Returns an unsubscribe. */
+  onChange(fn) {
+    this.listeners.add(fn);
+    return () => this.listeners.delete(fn);
+  }
+
+  // ========================================
+  // STORAGE HELPERS
+  // ========================================
+
+  _read() {
+    const values = {};
+    let stored = {};
+    try {
+      stored = JSON.parse(this.storage.getItem(STORAGE_KEY) || "{}") || {};
+    } catch (e) {
+      console.warn("Ignoring unreadable settings:", e);
+    }
+    for (const [key, def] of Object.entries(SETTING_DEFS)) {
+      const value = typeof stored[key] === typeof def.default ? coerce(def, stored[key]) : undefined;
+      values[key] = value === undefined ? def.default : value;
+    }
+    return values;
+  }
+
+  _write() {
+    try {
+      this.storage.setItem(STORAGE_KEY, JSON.stringify(this.values));
+    } catch (e) {
+      console.warn("Failed to save settings:", e);
+    }
+  }
+}
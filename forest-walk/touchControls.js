@@ -0,0 +1,209 @@
+// ========================================
+// TOUCH CONTROLS — Virtual stick, look drag and A/B/jump buttons
+// ========================================
+// On-screen controls for phones and tablets. The stick and buttons
+// drive "Touch*" codes on the InputActions layer, so touch goes through
+// the same bindings and state table as keyboard and gamepad. Dragging
+// on the right side of the screen reports look deltas through onLook.
+//
+// Shown automatically on touch-first devices (or after the first touch)
+// and hidden again when the player picks up the keyboard or a gamepad;
+// main.js decides which pieces are visible for the current game state.
+
+const STICK_RADIUS = 50; // px the knob can travel from the stick centre
+const STICK_DEADZONE = 0.12;
+const LOOK_SCALE = 1.5; // touch drags cover less distance than a mouse
+
+/** Primary pointer is a finger — touchscreen laptops with a mouse don't count */
+export function isTouchDevice() {
+  return window.matchMedia("(pointer: coarse)").matches;
+}
+
+export class TouchControls {
+  constructor(input, { onLook = null, onActivate = null } = {}) {
+    this.input = input;
+    this.onLook = onLook; // (dx, dy) → void
+    this.onActivate = onActivate; // called once when touch mode turns on
+
+    this.root = document.getElementById("touch-controls");
+    this.stickZone = document.getElementById("touch-stick-zone");
+    this.stickBase = document.getElementById("touch-stick");
+    this.stickKnob = document.getElementById("touch-stick-knob");
+    this.lookZone = document.getElementById("touch-look-zone");
+    this.buttons = {
+      a: document.getElementById("touch-btn-a"),
+      b: document.getElementById("touch-btn-b"),
+      jump: document.getElementById("touch-btn-jump"),
+      menu: document.getElementById("touch-btn-menu"),
+      photo: document.getElementById("touch-btn-photo"),
+    };
+
+    this.active = false;
+    this.stickTouch = null; // { id, x, y } — stick centre in client px
+    this.lookTouch = null; // { id, x, y } — last position
+
+    if (!this.root) return;
+    this.bindStick();
+    this.bindLook();
+    this.bindButton(this.buttons.a, "TouchA");
+    this.bindButton(this.buttons.b, "TouchB");
+    this.bindButton(this.buttons.jump, "TouchJump");
+    this.bindButton(this.buttons.menu, "TouchMenu");
+    this.bindButton(this.buttons.photo, "TouchPhoto");
+
+    if (isTouchDevice()) this.activate();
+    // Hybrid laptops: turn on at the first real touch
+    window.addEventListener("touchstart", () => this.activate(), { passive: true });
+  }
+
+  activate() {
+    if (this.active || !this.root) return;
+    this.active = true;
+    document.body.classList.add("touch-mode");
+    this.root.classList.remove("hidden");
+    if (this.onActivate) this.onActivate();
+  }
+
+  deactivate() {
+    if (!this.active) return;
+    this.active = false;
+    document.body.classList.remove("touch-mode");
+    this.root.classList.add("hidden");
+    this.releaseStick();
+    this.lookTouch = null;
+    ["TouchA", "TouchB", "TouchJump", "TouchMenu", "TouchPhoto"].forEach(code => this.input.setVirtual(code, 0));
+  }
+
+  /**
+   * Show only the pieces that do something in the current state.
+   * @param {{ move: boolean, look: boolean, a: boolean, b: boolean, jump: boolean, menu: boolean, photo: boolean }} context
+   */
+  setContext(context) {
+    if (!this.root) return;
+    this.stickZone.classList.toggle("hidden", !context.move);
+    this.lookZone.classList.toggle("hidden", !context.look);
+    for (const [name, btn] of Object.entries(this.buttons)) {
+      btn.classList.toggle("hidden", !context[name]);
+    }
+    if (!context.move) this.releaseStick();
+    if (!context.look) this.lookTouch = null;
+    // A hidden button never gets its touchend
+    if (!context.a) this.input.setVirtual("TouchA", 0);
+    if (!context.b) this.input.setVirtual("TouchB", 0);
+    if (!context.jump) this.input.setVirtual("TouchJump", 0);
+    if (!context.menu) this.input.setVirtual("TouchMenu", 0);
+    if (!context.photo) this.input.setVirtual("TouchPhoto", 0);
+  }
+
+  // ========================================
+  // STICK
+  // ========================================
+
+  bindStick() {
+    this.stickZone.addEventListener("touchstart", (e) => {
+      e.preventDefault();
+      if (this.stickTouch) return;
+      const touch = e.changedTouches[0];
+      // The stick appears wherever the thumb lands inside the zone
+      this.stickTouch = { id: touch.identifier, x: touch.clientX, y: touch.clientY };
+      const zone = this.stickZone.getBoundingClientRect();
+      this.stickBase.style.left = `${touch.clientX - zone.left}px`;
+      this.stickBase.style.top = `${touch.clientY - zone.top}px`;
+      this.stickBase.classList.add("engaged");
+    }, { passive: false });
+
+    this.stickZone.addEventListener("touchmove", (e) => {
+      e.preventDefault();
+      const touch = this.findTouch(e, this.stickTouch);
+      if (!touch) return;
+
+      let dx = touch.clientX - this.stickTouch.x;
+      let dy = touch.clientY - this.stickTouch.y;
+      const dist = Math.hypot(dx, dy);
+      if (dist > STICK_RADIUS) {
+        dx *= STICK_RADIUS / dist;
+        dy *= STICK_RADIUS / dist;
+      }
+      this.stickKnob.style.transform = `translate(${dx}px, ${dy}px)`;
+
+      const x = Math.abs(dx / STICK_RADIUS) < STICK_DEADZONE ? 0 : dx / STICK_RADIUS;
+      const y = Math.abs(dy / STICK_RADIUS) < STICK_DEADZONE ? 0 : dy / STICK_RADIUS;
+      this.input.setVirtual("TouchLeft", Math.max(0, -x));
+      this.input.setVirtual("TouchRight", Math.max(0, x));
+      this.input.setVirtual("TouchUp", Math.max(0, -y));
+      this.input.setVirtual("TouchDown", Math.max(0, y));
+    }, { passive: false });
+
+    const end = (e) => {
+      if (this.findTouch(e, this.stickTouch)) this.releaseStick();
+    };
+    this.stickZone.addEventListener("touchend", end);
+    this.stickZone.addEventListener("touchcancel", end);
+  }
+
+  releaseStick() {
+    this.stickTouch = null;
+    this.stickKnob.style.transform = "";
+    this.stickBase.classList.remove("engaged");
+    ["TouchLeft", "TouchRight", "TouchUp", "TouchDown"].forEach(code => this.input.setVirtual(code, 0));
+  }
+
+  // ========================================
+  // LOOK
+  // ========================================
+
+  bindLook() {
+    this.lookZone.addEventListener("touchstart", (e) => {
+      e.preventDefault();
+      if (this.lookTouch) return;
+      const touch = e.changedTouches[0];
+      this.lookTouch = { id: touch.identifier, x: touch.clientX, y: touch.clientY };
+    }, { passive: false });
+
+    this.lookZone.addEventListener("touchmove", (e) => {
+      e.preventDefault();
+      const touch = this.findTouch(e, this.lookTouch);
+      if (!touch) return;
+      const dx = (touch.clientX - this.lookTouch.x) * LOOK_SCALE;
+      const dy = (touch.clientY - this.lookTouch.y) * LOOK_SCALE;
+      this.lookTouch.x = touch.clientX;
+      this.lookTouch.y = touch.clientY;
+      if (this.onLook) this.onLook(dx, dy);
+    }, { passive: false });
+
+    const end = (e) => {
+      if (this.findTouch(e, this.lookTouch)) this.lookTouch = null;
+    };
+    this.lookZone.addEventListener("touchend", end);
+    this.lookZone.addEventListener("touchcancel", end);
+  }
+
+  // ========================================
+  // BUTTONS
+  // ========================================
+
+  bindButton(btn, code) {
+    btn.addEventListener("touchstart", (e) => {
+      e.preventDefault();
+      btn.classList.add("pressed");
+      this.input.setVirtual(code, 1);
+    }, { passive: false });
+
+    const release = (e) => {
+      e.preventDefault();
+      btn.classList.remove("pressed");
+      this.input.setVirtual(code, 0);
+    };
+    btn.addEventListener("touchend", release);
+    btn.addEventListener("touchcancel", release);
+  }
+
+  /** The changed touch matching a tracked { id }, or null */
+  findTouch(e, tracked) {
+    if (!tracked) return null;
+    for (const touch of e.changedTouches) {
+      if (touch.identifier === tracked.id) return touch;
+    }
+    return null;
+  }
+}